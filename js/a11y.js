@@ -0,0 +1,123 @@
+/* ========================================
+   A11y Module - Focus Traps & Announcements
+   ======================================== */
+
+const A11y = (function() {
+    'use strict';
+
+    const FOCUSABLE = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+
+    let announcer = null;
+    let announceTimer = null;
+
+    /**
+     * Initialize the accessibility helpers
+     */
+    function init() {
+        announcer = document.getElementById('announcer');
+        console.log('A11y module initialized');
+    }
+
+    /**
+     * Keep keyboard focus inside a dialog until it closes
+     * @param {HTMLElement} container - Dialog element
+     * @param {Object} options - Trap options
+     * @param {Function} [options.onEscape] - Called when Escape is pressed
+     * @param {Function} [options.fallbackFocus] - Called to move focus somewhere
+     *   sensible if the element that opened the dialog has gone
+     * @returns {Function} Releases the trap and returns focus to the opener
+     */
+    function trapFocus(container, options = {}) {
+        const opener = document.activeElement;
+
+        function handleKeydown(event) {
+            if (event.key === 'Escape' && options.onEscape) {
+                event.preventDefault();
+                options.onEscape();
+                return;
+            }
+            if (event.key !== 'Tab') return;
+
+            const focusable = getFocusable(container);
+            if (focusable.length === 0) {
+                event.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (!container.contains(document.activeElement)) {
+                event.preventDefault();
+                first.focus();
+            } else if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+
+        document.addEventListener('keydown', handleKeydown);
+
+        return function release() {
+            document.removeEventListener('keydown', handleKeydown);
+
+            if (opener && opener !== document.body && isVisible(opener)) {
+                opener.focus();
+            } else if (options.fallbackFocus) {
+                options.fallbackFocus();
+            }
+        };
+    }
+
+    /**
+     * Get the elements inside a container that can take focus
+     * @param {HTMLElement} container - Element to search
+     * @returns {Array<HTMLElement>} Focusable elements in tab order
+     */
+    function getFocusable(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE)).filter(isVisible);
+    }
+
+    /**
+     * Check an element is connected and rendered
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    function isVisible(element) {
+        return element.isConnected && element.getClientRects().length > 0;
+    }
+
+    /**
+     * Read a message out to screen reader users
+     * @param {string} message - Message to announce
+     */
+    function announce(message) {
+        if (!announcer) return;
+
+        // Clear first so the same message is read again if repeated
+        announcer.textContent = '';
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            announcer.textContent = message;
+            announceTimer = setTimeout(() => { announcer.textContent = ''; }, 5000);
+        }, 50);
+    }
+
+    // Public API
+    return {
+        init,
+        trapFocus,
+        getFocusable,
+        announce
+    };
+})();
@@ -0,0 +1,250 @@
+/* ========================================
+   Achievements Module - Badges to Aim For
+   ======================================== */
+
+/*
+ * Badges are defined in data/achievements.json:
+ *
+ *   { achievements: [{ id, icon, name, description, celebration, translations, rule }] }
+ *
+ * translations holds the words in other languages, e.g.
+ * { es: { name, description, celebration } }.
+ *
+ * A rule says what has to be done, checked against the active player's save:
+ *
+ *   { type: 'collect', filter: { habitat: 'sea' } }           every matching animal
+ *   { type: 'collect', filter: { rarity: 'legendary' }, count: 1 }
+ *   { type: 'practice', animal: 'red-kangaroo', count: 10 }  names said right
+ *   { type: 'quiz', stat: 'stars', count: 30 }               quiz totals
+ *
+ * Rules are checked again whenever another module reports progress with
+ * one of the document events in EVENTS. Earned badges are kept in the
+ * save's `achievements` section, so each player has their own shelf.
+ */
+
+const Achievements = (function() {
+    'use strict';
+
+    const DATA_URL = 'data/achievements.json';
+
+    // Sent by Collection.collect, Practice and Quiz
+    const EVENTS = ['collection:collected', 'practice:attempted', 'quiz:answered'];
+
+    // Checks for each rule type - true when the rule is met
+    const RULES = {
+        collect(rule) {
+            const filter = rule.filter || {};
+            const animals = AnimalData.getAll().filter(animal =>
+                Object.keys(filter).every(key => animal[key] === filter[key]));
+            if (animals.length === 0) return false;
+
+            const found = animals.filter(animal => Collection.isCollected(animal.id)).length;
+            return found >= (rule.count || animals.length);
+        },
+
+        practice(rule) {
+            const practice = SaveData.get().practice;
+            const ids = rule.animal ? [rule.animal] : Object.keys(practice);
+            const correct = ids.reduce((sum, id) => sum + ((practice[id] && practice[id].correct) || 0), 0);
+            return correct >= rule.count;
+        },
+
+        quiz(rule) {
+            return (SaveData.get().quiz[rule.stat] || 0) >= rule.count;
+        }
+    };
+
+    // Let a discovery's own celebration finish before the badge's
+    const CELEBRATE_DELAY = 1600;
+    const TOAST_TIME = 4000;
+
+    let definitions = [];
+    let queue = [];
+    let celebrating = false;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the achievements module
+     */
+    function init() {
+        elements.toast = document.getElementById('badge-toast');
+        elements.toastIcon = document.getElementById('badge-toast-icon');
+        elements.toastName = document.getElementById('badge-toast-name');
+        elements.shelf = document.getElementById('badge-shelf');
+        elements.count = document.getElementById('badge-count');
+
+        EVENTS.forEach(name => {
+            document.addEventListener(name, () => check(true));
+        });
+
+        loadDefinitions();
+
+        console.log('Achievements module initialized');
+    }
+
+    /**
+     * Load the badge definitions
+     */
+    function loadDefinitions() {
+        fetch(DATA_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                definitions = (data.achievements || []).filter(isValidDefinition);
+                console.log(`Loaded ${definitions.length} achievements`);
+                reload();
+            })
+            .catch(error => {
+                console.error('Error loading achievements:', error);
+            });
+    }
+
+    /**
+     * Check a badge definition has everything it needs
+     * @param {Object} definition - Badge from the data file
+     * @returns {boolean}
+     */
+    function isValidDefinition(definition) {
+        const ok = definition && definition.id && definition.icon && definition.name &&
+            definition.rule && Object.prototype.hasOwnProperty.call(RULES, definition.rule.type);
+        if (!ok) {
+            console.warn(`achievements.json: skipping an invalid badge ${definition && definition.id}`);
+        }
+        return Boolean(ok);
+    }
+
+    /**
+     * Catch up on badges after the player or their save changes,
+     * without celebrating ones earned earlier or elsewhere
+     */
+    function reload() {
+        queue = [];
+        check(false);
+        renderShelf();
+    }
+
+    /**
+     * Award any badges whose rules are now met
+     * @param {boolean} celebrate - Whether to show and speak new badges
+     */
+    function check(celebrate) {
+        const earned = SaveData.get().achievements;
+        const fresh = definitions.filter(definition => !earned[definition.id] && RULES[definition.rule.type](definition.rule));
+        if (fresh.length === 0) return;
+
+        fresh.forEach(definition => {
+            earned[definition.id] = { earnedAt: Date.now() };
+        });
+        SaveData.save();
+        renderShelf();
+
+        if (celebrate) {
+            queue.push(...fresh);
+            if (!celebrating) {
+                celebrating = true;
+                setTimeout(celebrateNext, CELEBRATE_DELAY);
+            }
+        }
+    }
+
+    /**
+     * Show and speak the next new badge
+     */
+    function celebrateNext() {
+        const next = queue.shift();
+        if (!next) {
+            celebrating = false;
+            return;
+        }
+
+        const definition = localize(next);
+        if (elements.toast) {
+            elements.toastIcon.textContent = definition.icon;
+            elements.toastName.textContent = definition.name;
+            elements.toast.hidden = false;
+        }
+        A11y.announce(I18n.t('achievements.announce', { name: definition.name, description: definition.description }));
+        Speech.speak(definition.celebration || I18n.t('achievements.celebration', { name: definition.name }));
+
+        setTimeout(() => {
+            if (elements.toast) elements.toast.hidden = true;
+            celebrateNext();
+        }, TOAST_TIME);
+    }
+
+    /**
+     * Show every badge on the gallery shelf, earned or still to earn
+     */
+    function renderShelf() {
+        if (!elements.shelf) return;
+
+        const earned = SaveData.get().achievements;
+        elements.shelf.innerHTML = '';
+
+        definitions.map(localize).forEach(definition => {
+            const isEarned = Boolean(earned[definition.id]);
+
+            const badge = document.createElement('li');
+            badge.className = 'badge';
+            badge.classList.add(isEarned ? 'badge--earned' : 'badge--locked');
+            badge.title = definition.description;
+            badge.dataset.say = isEarned
+                ? `${definition.name}. ${definition.description}`
+                : I18n.t('achievements.stillToEarn', { description: definition.description });
+
+            const icon = document.createElement('span');
+            icon.className = 'badge__icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = isEarned ? definition.icon : '🔒';
+
+            const name = document.createElement('span');
+            name.className = 'badge__name';
+            name.textContent = definition.name;
+
+            const status = document.createElement('span');
+            status.className = 'visually-hidden';
+            status.textContent = ` - ${I18n.t(isEarned ? 'achievements.earned' : 'achievements.notEarned', { description: definition.description })}`;
+
+            badge.append(icon, name, status);
+            elements.shelf.appendChild(badge);
+        });
+
+        if (elements.count) {
+            const count = definitions.filter(definition => earned[definition.id]).length;
+            elements.count.textContent = I18n.t('achievements.count', { count, total: definitions.length });
+        }
+    }
+
+    /**
+     * Get a badge's words in the player's language
+     * @param {Object} definition - Badge definition
+     * @returns {Object} Definition with name, description and celebration translated
+     */
+    function localize(definition) {
+        const translation = definition.translations && definition.translations[I18n.getLocale()];
+        return translation ? { ...definition, ...translation } : definition;
+    }
+
+    /**
+     * Get the badges the active player has earned
+     * @returns {Array<Object>} Badge definitions, in the player's language
+     */
+    function getEarned() {
+        const earned = SaveData.get().achievements;
+        return definitions.filter(definition => earned[definition.id]).map(localize);
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        renderShelf,
+        getEarned
+    };
+})();
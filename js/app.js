@@ -5,6 +5,25 @@
 const App = (function() {
     'use strict';
 
+    /*
+     * Hash routes - each view has its own URL so Back and Forward work and
+     * a card can be shared as a link:
+     *
+     *   #/ (or no hash)        the map with every animal
+     *   #/filter/<filter>      the map showing one group, e.g. #/filter/dinosaur
+     *   #/animal/<id>          an animal's card, e.g. #/animal/platypus
+     *   #/collection           the gallery
+     */
+    const ROUTE_PATTERN = /^#\/(animal|collection|filter)(?:\/([\w-]+))?\/?$/;
+
+    // Animals opened from the map this visit - a link to any other
+    // undiscovered animal only shows the "not found yet" teaser
+    const openedFromMap = new Set();
+
+    // Set while a route change closes modals, so the close handlers
+    // don't step back through history as well
+    let routing = false;
+
     /**
      * Initialize the application
      */
@@ -12,17 +31,36 @@ const App = (function() {
         console.log('🦘 Australian Animal Adventure starting...');
 
         try {
-            // Initialize modules
+            // Initialize modules (profiles first - other modules load per-player data)
+            A11y.init();
+            Offline.init();
+            Profiles.init(handleProfileChange);
+            SaveData.load();
+            await I18n.init();
+            await I18n.reload();
             Speech.init();
-            Cards.init();
-            Collection.init();
+            Sound.init();
+            Sound.reload();
+            PreReader.init();
+            Settings.init(handleSettingChange);
+            Cards.init(handleCardClosed);
+            Collection.init(handleOpenAnimal, handleGalleryClosed);
+            Backup.init(() => handleSaveChange().catch(error => console.error('Error loading imported save:', error)));
+            Print.init();
+            Recognition.init();
+            Practice.init();
+            PairGame.init();
+            Quiz.init();
+            Battle.init();
+            Achievements.init();
             GameMap.init('australia-map');
+            Fog.init('australia-map');
 
             // Load animal data
             const animals = await AnimalData.loadAnimals();
 
             if (animals.length === 0) {
-                showError('Could not load animal data. Please try refreshing the page.');
+                showError(I18n.t('app.loadError'));
                 return;
             }
 
@@ -32,16 +70,31 @@ const App = (function() {
             // Update marker states based on collection
             GameMap.updateAllMarkerStates(Collection.getCollectedIds());
 
+            // Progress totals and collection badges need the animal list
+            Collection.reload();
+            Achievements.reload();
+            Fog.reload();
+
             // Setup collect button handler
             setupCollectHandler();
 
             // Setup filter button handlers
             setupFilterHandlers();
 
+            // Back, Forward and followed links (the starting route is
+            // applied once a player has been picked)
+            if (!history.state) {
+                history.replaceState({ app: false }, '');
+            }
+            window.addEventListener('hashchange', handleHashChange);
+
+            // Ask who is playing
+            Profiles.showPicker();
+
             console.log('🎉 App initialized successfully!');
         } catch (error) {
             console.error('Error initializing app:', error);
-            showError('Something went wrong. Please try refreshing the page.');
+            showError(I18n.t('app.error'));
         }
     }
 
@@ -50,8 +103,234 @@ const App = (function() {
      * @param {Object} animal - Animal data object
      */
     function handleAnimalClick(animal) {
-        const isCollected = Collection.isCollected(animal.id);
-        Cards.show(animal, isCollected);
+        Sound.play('pop');
+        openedFromMap.add(animal.id);
+        navigate(`#/animal/${animal.id}`);
+    }
+
+    /**
+     * Handle a collected animal being opened from the gallery
+     * @param {Object} animal - Animal data object
+     */
+    function handleOpenAnimal(animal) {
+        navigate(`#/animal/${animal.id}`);
+    }
+
+    /**
+     * Leave the card's route when the player closes it
+     */
+    function handleCardClosed() {
+        if (!routing && parseRoute(location.hash).view === 'animal') {
+            leaveRoute();
+        }
+    }
+
+    /**
+     * Leave the gallery's route when the player closes it
+     */
+    function handleGalleryClosed() {
+        if (!routing && parseRoute(location.hash).view === 'collection') {
+            leaveRoute();
+        }
+    }
+
+    /**
+     * Apply a new hash, marking entries the game made itself
+     */
+    function handleHashChange() {
+        // A fresh entry (a clicked link or navigate()) - Back and Forward
+        // land on entries that were marked when they were made
+        if (!history.state) {
+            history.replaceState({ app: true }, '');
+        }
+        applyRoute();
+    }
+
+    /**
+     * Split a location hash into a route
+     * @param {string} hash - e.g. '#/animal/platypus'
+     * @returns {{view: string, param: (string|null)}} view is 'map', 'animal', 'collection' or 'filter'
+     */
+    function parseRoute(hash) {
+        const match = ROUTE_PATTERN.exec(hash || '');
+        if (!match) return { view: 'map', param: null };
+        return { view: match[1], param: match[2] || null };
+    }
+
+    /**
+     * Go to a route, adding a history entry
+     * @param {string} hash - Route to show
+     */
+    function navigate(hash) {
+        if (location.hash === hash) {
+            applyRoute();
+        } else {
+            location.hash = hash;
+        }
+    }
+
+    /**
+     * Return to the map after closing a card or the gallery - back through
+     * history if the game opened it, so Forward reopens it
+     */
+    function leaveRoute() {
+        if (history.state && history.state.app) {
+            history.back();
+        } else {
+            // Arrived by a shared link - there is nothing of ours to go back to
+            history.replaceState(null, '', mapHash());
+        }
+    }
+
+    /**
+     * Get the map route for the current filter
+     * @returns {string}
+     */
+    function mapHash() {
+        const filter = getActiveFilter();
+        return filter === 'all' ? '#/' : `#/filter/${filter}`;
+    }
+
+    /**
+     * Show whatever the current hash asks for
+     */
+    function applyRoute() {
+        const route = parseRoute(location.hash);
+
+        if (route.view === 'animal') {
+            const animal = AnimalData.getById(route.param);
+            if (!animal) {
+                console.warn(`No animal called "${route.param}"`);
+                history.replaceState(history.state, '', mapHash());
+                applyRoute();
+                return;
+            }
+
+            withoutNavigation(Collection.hideGallery, Collection.isGalleryOpen());
+            GameMap.flyTo(animal.id);
+
+            const isCollected = Collection.isCollected(animal.id);
+            if (isCollected || openedFromMap.has(animal.id)) {
+                Cards.show(animal, isCollected);
+            } else {
+                Cards.showLocked(animal);
+            }
+        } else if (route.view === 'collection') {
+            withoutNavigation(Cards.hide, Cards.isOpen());
+            if (!Collection.isGalleryOpen()) {
+                Collection.showGallery();
+            }
+        } else {
+            withoutNavigation(Cards.hide, Cards.isOpen());
+            withoutNavigation(Collection.hideGallery, Collection.isGalleryOpen());
+            setFilter(route.view === 'filter' ? route.param : 'all');
+        }
+    }
+
+    /**
+     * Close a view for a route change without touching history
+     * @param {Function} close - Cards.hide or Collection.hideGallery
+     * @param {boolean} isOpen - Whether the view is showing
+     */
+    function withoutNavigation(close, isOpen) {
+        if (!isOpen) return;
+
+        routing = true;
+        try {
+            close();
+        } finally {
+            routing = false;
+        }
+    }
+
+    /**
+     * Reload per-player data after switching profiles
+     * @param {Object} profile - The newly active profile
+     */
+    async function handleProfileChange(profile) {
+        try {
+            withoutNavigation(Cards.hide, Cards.isOpen());
+            SaveData.load();
+            await I18n.reload();
+            Sound.reload();
+            GameMap.refreshText();
+            Collection.reload();
+            Practice.reload();
+            Print.reload();
+            PreReader.reload();
+            Achievements.reload();
+            GameMap.updateAllMarkerStates(Collection.getCollectedIds());
+            Fog.reload();
+            PreReader.prompt('map');
+            console.log(`Now playing as ${profile.name}`);
+
+            // Also opens a shared link once the first player is picked
+            openedFromMap.clear();
+            applyRoute();
+        } catch (error) {
+            console.error('Error switching player:', error);
+        }
+    }
+
+    /**
+     * Apply a setting changed on the grown-up settings screen
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     */
+    function handleSettingChange(name, value) {
+        if (name === 'preReader') {
+            PreReader.reload();
+        } else if (name === 'locale') {
+            const previous = I18n.getLocale();
+            I18n.reload()
+                .then(switched => {
+                    if (!switched) throw new Error(`Language ${value} is not available`);
+                })
+                .catch(error => {
+                    console.error('Error switching language:', error);
+                    // Keep the language that worked, and don't save the one that failed
+                    SaveData.setSetting('locale', previous);
+                    Settings.refresh();
+                    return I18n.setLocale(previous);
+                })
+                .then(handleLocaleChange)
+                .catch(error => console.error('Error restoring language:', error));
+        } else if (name === 'soundVolume' || name === 'soundMuted') {
+            // Let the grown-up hear the new level
+            Sound.reload();
+            Sound.play('pop');
+        }
+    }
+
+    /**
+     * Redraw everything built from strings after the language changes
+     */
+    function handleLocaleChange() {
+        GameMap.refreshText();
+        Collection.reload();
+        Collection.renderGallery();
+        Achievements.renderShelf();
+
+        // Show the open card again in the new language
+        if (Cards.isOpen()) {
+            applyRoute();
+        }
+    }
+
+    /**
+     * Refresh the map and gallery after the save was loaded from a file
+     */
+    async function handleSaveChange() {
+        await I18n.reload();
+        Sound.reload();
+        GameMap.refreshText();
+        Collection.reload();
+        Collection.renderGallery();
+        Print.reload();
+        PreReader.reload();
+        Achievements.reload();
+        GameMap.updateAllMarkerStates(Collection.getCollectedIds());
+        Fog.reload();
     }
 
     /**
@@ -84,17 +363,45 @@ const App = (function() {
 
         filterButtons.forEach(button => {
             button.addEventListener('click', () => {
-                // Update active state
-                filterButtons.forEach(btn => btn.classList.remove('filter-btn--active'));
-                button.classList.add('filter-btn--active');
-
-                // Filter markers
-                const filter = button.dataset.filter;
-                GameMap.filterMarkers(filter);
+                // Swap the filter in the URL without adding a Back step
+                setFilter(button.dataset.filter);
+                history.replaceState(history.state, '', mapHash());
             });
         });
     }
 
+    /**
+     * Show one group of animals on the map
+     * @param {string} filter - A filter button's data-filter value
+     */
+    function setFilter(filter) {
+        const buttons = Array.from(document.querySelectorAll('.filter-btn'));
+        const button = buttons.find(btn => btn.dataset.filter === filter) ||
+            buttons.find(btn => btn.dataset.filter === 'all');
+        if (!button || button.classList.contains('filter-btn--active')) return;
+
+        // Update active state
+        buttons.forEach(btn => btn.classList.remove('filter-btn--active'));
+        button.classList.add('filter-btn--active');
+
+        // Filter markers
+        filter = button.dataset.filter;
+        const showing = GameMap.filterMarkers(filter);
+        const label = button.querySelector('.filter-btn__text').textContent.toLowerCase();
+        A11y.announce(filter === 'all'
+            ? I18n.t('filters.showingAll', { count: showing })
+            : I18n.t('filters.showing', { count: showing, group: label }));
+    }
+
+    /**
+     * Get the filter the map is showing
+     * @returns {string}
+     */
+    function getActiveFilter() {
+        const active = document.querySelector('.filter-btn--active');
+        return active ? active.dataset.filter : 'all';
+    }
+
     /**
      * Show error message to user
      * @param {string} message - Error message
@@ -0,0 +1,367 @@
+/* ========================================
+   Backup Module - Save & Load Adventure Files
+   ======================================== */
+
+/*
+ * An adventure file wraps the player's save document with a checksum
+ * so a damaged or hand-edited file is caught before it is loaded:
+ *
+ *   {
+ *     app: 'australian-animal-adventure',
+ *     format: 1,
+ *     exportedAt: '2024-12-14T17:22:03.689Z',
+ *     payload: { player: { name, avatar }, save: { ...save document } },
+ *     checksum: { algorithm: 'SHA-256', value: '9f86d0...' }
+ *   }
+ */
+
+const Backup = (function() {
+    'use strict';
+
+    const APP_ID = 'australian-animal-adventure';
+    const FILE_FORMAT = 1;
+
+    let onImport = null;
+    let pendingImport = null;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the backup module
+     * @param {Function} importHandler - Called after a file has been loaded into the save
+     */
+    function init(importHandler) {
+        onImport = importHandler;
+
+        elements.btnExport = document.getElementById('btn-export');
+        elements.btnImport = document.getElementById('btn-import');
+        elements.fileInput = document.getElementById('import-file');
+        elements.status = document.getElementById('backup-status');
+        elements.choice = document.getElementById('import-choice');
+        elements.choiceText = document.getElementById('import-choice-text');
+        elements.btnMerge = document.getElementById('btn-import-merge');
+        elements.btnReplace = document.getElementById('btn-import-replace');
+        elements.btnCancel = document.getElementById('btn-import-cancel');
+
+        if (!elements.btnExport || !elements.fileInput) {
+            console.error('Backup controls not found');
+            return;
+        }
+
+        elements.btnExport.addEventListener('click', exportAdventure);
+        elements.btnImport.addEventListener('click', () => elements.fileInput.click());
+        elements.fileInput.addEventListener('change', handleFileChosen);
+        elements.btnMerge.addEventListener('click', () => applyImport('merge'));
+        elements.btnReplace.addEventListener('click', () => applyImport('replace'));
+        elements.btnCancel.addEventListener('click', cancelImport);
+
+        console.log('Backup module initialized');
+    }
+
+    /**
+     * Download the active player's adventure as a file
+     */
+    async function exportAdventure() {
+        const profile = Profiles.getActive();
+        const payload = {
+            player: { name: profile.name, avatar: profile.avatar },
+            save: SaveData.get()
+        };
+
+        const file = {
+            app: APP_ID,
+            format: FILE_FORMAT,
+            exportedAt: new Date().toISOString(),
+            payload,
+            checksum: await createChecksum(JSON.stringify(payload))
+        };
+
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${slugify(profile.name)}-adventure-${file.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        setStatus(I18n.t('backup.saved', { name: profile.name }));
+    }
+
+    /**
+     * Read a chosen adventure file and ask how to load it
+     * @param {Event} event - Change event from the file input
+     */
+    async function handleFileChosen(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            pendingImport = await readAdventure(await file.text());
+        } catch (error) {
+            console.warn('Adventure file rejected:', error.message);
+            setStatus(error.userMessage || I18n.t('backup.notAdventure'));
+            return;
+        }
+
+        const { player, save, skipped } = pendingImport;
+        const count = Object.keys(save.collection).length;
+        let text = `${player.avatar || ''} ` +
+            `${I18n.t('backup.found', { name: player.name || I18n.t('backup.thisExplorer'), count })} ` +
+            I18n.t('backup.choose');
+        if (skipped.length > 0) {
+            text += ` ${I18n.t('backup.skipped', { count: skipped.length })}`;
+        }
+
+        elements.choiceText.textContent = text.trim();
+        elements.choice.hidden = false;
+        setStatus('');
+        elements.btnMerge.focus();
+    }
+
+    /**
+     * Check and unpack an adventure file
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} { player, save, skipped }
+     * @throws {Error} With a kid-friendly userMessage if the file can't be used
+     */
+    async function readAdventure(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw createError(I18n.t('backup.notAdventure'), error.message);
+        }
+
+        if (!file || file.app !== APP_ID || !file.payload || !file.checksum) {
+            throw createError(I18n.t('backup.notAdventure'), 'Missing adventure file fields');
+        }
+        if (file.format > FILE_FORMAT) {
+            throw createError(I18n.t('backup.tooNew'), `Unknown file format ${file.format}`);
+        }
+
+        const expected = await createChecksum(JSON.stringify(file.payload), file.checksum.algorithm);
+        if (expected.value !== file.checksum.value) {
+            throw createError(I18n.t('backup.damaged'), 'Checksum mismatch');
+        }
+
+        let save;
+        try {
+            save = SaveData.migrate(file.payload.save);
+        } catch (error) {
+            throw createError(I18n.t('backup.damaged'), error.message);
+        }
+
+        return {
+            player: file.payload.player || {},
+            save,
+            skipped: removeUnknownAnimals(save)
+        };
+    }
+
+    /**
+     * Drop animals this version of the game doesn't have
+     * @param {Object} save - Save document (modified in place)
+     * @returns {Array<string>} IDs that were removed
+     */
+    function removeUnknownAnimals(save) {
+        const known = new Set(AnimalData.getAll().map(animal => animal.id));
+        const skipped = new Set();
+
+        ['collection', 'practice'].forEach(section => {
+            Object.keys(save[section]).forEach(animalId => {
+                if (!known.has(animalId)) {
+                    delete save[section][animalId];
+                    skipped.add(animalId);
+                }
+            });
+        });
+
+        return [...skipped];
+    }
+
+    /**
+     * Load the checked file into the active player's save
+     * @param {string} mode - 'merge' to add to the current adventure, 'replace' to swap it
+     */
+    function applyImport(mode) {
+        if (!pendingImport) return;
+
+        const imported = pendingImport.save;
+        const current = SaveData.get();
+
+        if (mode === 'replace') {
+            SaveData.replace(imported);
+        } else {
+            SaveData.replace(mergeSaves(current, imported));
+        }
+
+        pendingImport = null;
+        elements.choice.hidden = true;
+        setStatus(I18n.t(mode === 'replace' ? 'backup.loaded' : 'backup.merged'));
+
+        if (onImport) onImport();
+    }
+
+    /**
+     * Combine two saves, keeping the best of each
+     * @param {Object} current - Active player's save
+     * @param {Object} imported - Save from the file
+     * @returns {Object} Merged save document
+     */
+    function mergeSaves(current, imported) {
+        const merged = JSON.parse(JSON.stringify(current));
+
+        Object.entries(imported.collection).forEach(([animalId, entry]) => {
+            const existing = merged.collection[animalId];
+            if (!entry || typeof entry !== 'object') return;
+
+            if (!existing) {
+                merged.collection[animalId] = entry;
+            } else if (entry.collectedAt && (!existing.collectedAt || entry.collectedAt < existing.collectedAt)) {
+                // Keep the first time it was ever collected
+                existing.collectedAt = entry.collectedAt;
+            }
+        });
+
+        Object.entries(imported.practice).forEach(([animalId, stats]) => {
+            const existing = merged.practice[animalId];
+            if (!stats || typeof stats !== 'object') return;
+
+            if (!existing) {
+                merged.practice[animalId] = stats;
+                return;
+            }
+
+            // The same history may have been saved on both devices,
+            // so take the larger counts rather than adding them up
+            const newer = (stats.lastPracticedAt || 0) > (existing.lastPracticedAt || 0) ? stats : existing;
+            merged.practice[animalId] = {
+                ...newer,
+                attempts: Math.max(stats.attempts || 0, existing.attempts || 0),
+                correct: Math.max(stats.correct || 0, existing.correct || 0)
+            };
+        });
+
+        // Quiz totals may include the same games, like practice counts
+        ['stars', 'played', 'correct'].forEach(total => {
+            merged.quiz[total] = Math.max(merged.quiz[total] || 0, imported.quiz[total] || 0);
+        });
+
+        // A badge counts from the first time it was earned anywhere
+        Object.entries(imported.achievements).forEach(([achievementId, entry]) => {
+            const existing = merged.achievements[achievementId];
+            if (!entry || typeof entry !== 'object') return;
+
+            if (!existing || (entry.earnedAt && entry.earnedAt < existing.earnedAt)) {
+                merged.achievements[achievementId] = entry;
+            }
+        });
+
+        // Fog cleared on either device stays cleared
+        const revealed = new Set([...merged.exploration.revealed, ...imported.exploration.revealed]);
+        merged.exploration.revealed = [...revealed].sort((a, b) => a - b);
+
+        // Listening game levels follow the most-played copy
+        Object.entries(imported.listening).forEach(([pairId, stats]) => {
+            const existing = merged.listening[pairId];
+            if (!stats || typeof stats !== 'object') return;
+
+            if (!existing || (stats.attempts || 0) > (existing.attempts || 0)) {
+                merged.listening[pairId] = stats;
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Forget a chosen file without loading it
+     */
+    function cancelImport() {
+        pendingImport = null;
+        elements.choice.hidden = true;
+        setStatus('');
+    }
+
+    /**
+     * Create a checksum of the file contents
+     * @param {string} text - Text to check
+     * @param {string} [algorithm] - Algorithm to use; defaults to the best available
+     * @returns {Promise<Object>} { algorithm, value }
+     */
+    async function createChecksum(text, algorithm) {
+        const canUseSha = !!(window.crypto && window.crypto.subtle);
+        const useSha = algorithm ? algorithm === 'SHA-256' : canUseSha;
+
+        if (useSha && canUseSha) {
+            const bytes = new TextEncoder().encode(text);
+            const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+            const value = Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+            return { algorithm: 'SHA-256', value };
+        }
+
+        if (useSha) {
+            // Can't check a SHA-256 file without Web Crypto (e.g. plain http)
+            throw createError(I18n.t('backup.noCrypto'), 'Web Crypto not available');
+        }
+
+        return { algorithm: 'FNV-1a', value: fnv1a(text) };
+    }
+
+    /**
+     * Simple FNV-1a hash for browsers without Web Crypto
+     * @param {string} text - Text to hash
+     * @returns {string} 8-character hex hash
+     */
+    function fnv1a(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Make a player name safe for a file name
+     * @param {string} name - Player name
+     * @returns {string} File-name-friendly name
+     */
+    function slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'explorer';
+    }
+
+    /**
+     * Create an error with a message that can be shown to the player
+     * @param {string} userMessage - Kid-friendly explanation
+     * @param {string} message - Technical message for the console
+     * @returns {Error}
+     */
+    function createError(userMessage, message) {
+        const error = new Error(message);
+        error.userMessage = userMessage;
+        return error;
+    }
+
+    /**
+     * Show a message under the save/load buttons
+     * @param {string} message - Message to show
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        exportAdventure
+    };
+})();
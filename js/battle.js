@@ -0,0 +1,595 @@
+/* ========================================
+   Battle Module - Top Trumps Stat Battles
+   ======================================== */
+
+/*
+ * Two players each deal a deck from their own collection - the active
+ * player against another player on this device, or against the
+ * computer. The player whose turn it is picks a stat from their top
+ * card; the higher value wins both cards, and the rarer animal wins a
+ * tie. Whoever wins a round picks next. The battle ends when someone
+ * runs out of cards (or after MAX_ROUNDS, when the bigger pile wins).
+ *
+ * Battles don't change anyone's collection - won cards only count
+ * until the battle ends.
+ */
+
+const Battle = (function() {
+    'use strict';
+
+    // Labels are the catalogue's stats.<key> strings
+    const STATS = [
+        { key: 'size', icon: '📏' },
+        { key: 'speed', icon: '⚡' },
+        { key: 'dangerLevel', icon: '☠️' }
+    ];
+
+    // Rarer animals win ties
+    const RARITY_RANK = { common: 1, uncommon: 2, rare: 3, legendary: 4 };
+
+    const MAX_DECK = 10;
+    const MAX_ROUNDS = 20;
+
+    // Named by getName() in the player's language
+    const COMPUTER = { avatar: '🤖' };
+
+    // The computer usually picks its best stat, but not always
+    const COMPUTER_RANDOM_CHANCE = 0.25;
+    const COMPUTER_THINK_DELAY = 1200;
+
+    // Matches the card flip in css/battle.css
+    const REVEAL_DELAY = 600;
+
+    let modal = null;
+    let releaseFocus = null;
+    let battle = null;
+    let battleToken = 0;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the battle module
+     */
+    function init() {
+        modal = document.getElementById('battle-modal');
+        if (!modal) {
+            console.error('Battle modal not found');
+            return;
+        }
+
+        elements.toggle = document.getElementById('battle-toggle');
+        elements.setup = document.getElementById('battle-setup');
+        elements.setupMessage = document.getElementById('battle-setup-message');
+        elements.opponents = document.getElementById('battle-opponents');
+        elements.arena = document.getElementById('battle-arena');
+        elements.scores = [
+            document.getElementById('battle-score-1'),
+            document.getElementById('battle-score-2')
+        ];
+        elements.slots = [
+            document.getElementById('battle-card-1'),
+            document.getElementById('battle-card-2')
+        ];
+        elements.prompt = document.getElementById('battle-prompt');
+        elements.stats = document.getElementById('battle-stats');
+        elements.result = document.getElementById('battle-result');
+        elements.btnNext = document.getElementById('btn-battle-next');
+
+        if (elements.toggle) {
+            elements.toggle.addEventListener('click', show);
+        }
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', hide);
+        });
+        elements.btnNext.addEventListener('click', handleNextClick);
+
+        console.log('Battle module initialized');
+    }
+
+    /**
+     * Show the battle screen, starting with the choice of opponent
+     */
+    function show() {
+        showSetup();
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hide
+            });
+        }
+        const first = elements.opponents.querySelector('button:not(:disabled)') || modal.querySelector('.modal__close');
+        first.focus();
+    }
+
+    /**
+     * Hide the battle screen
+     */
+    function hide() {
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+        battleToken++;
+        battle = null;
+        if (Speech.isSpeaking()) Speech.stop();
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+    }
+
+    /**
+     * Show who the active player can battle
+     * @param {string} [message] - Message to show above the choices
+     */
+    function showSetup(message) {
+        battleToken++;
+        battle = null;
+
+        const own = getDeckAnimals(Collection.getCollectedIds());
+        elements.opponents.innerHTML = '';
+
+        if (own.length === 0) {
+            elements.setupMessage.textContent = I18n.t('battle.noCards');
+        } else {
+            elements.setupMessage.textContent = message || I18n.t('battle.chooseOpponent');
+
+            elements.opponents.appendChild(createOpponentButton(COMPUTER, I18n.t('battle.randomCards'), () => {
+                start(own, getComputerDeck(own.length), COMPUTER);
+            }));
+
+            const active = Profiles.getActive();
+            Profiles.getAll()
+                .filter(profile => !active || profile.id !== active.id)
+                .forEach(profile => {
+                    const theirs = getDeckAnimals(Object.keys(SaveData.peek(profile.id).collection));
+                    const button = createOpponentButton(profile, theirs.length > 0
+                        ? I18n.t('battle.cardCount', { count: theirs.length })
+                        : I18n.t('battle.noCardsYet'), () => start(own, theirs, profile));
+                    button.disabled = theirs.length === 0;
+                    elements.opponents.appendChild(button);
+                });
+        }
+
+        elements.setup.hidden = false;
+        elements.arena.hidden = true;
+        PreReader.prompt(elements.setupMessage.textContent);
+    }
+
+    /**
+     * Create a button for choosing an opponent
+     * @param {Object} opponent - Profile, or COMPUTER
+     * @param {string} detail - Extra line under the name
+     * @param {Function} onChoose - Called when the button is clicked
+     * @returns {HTMLButtonElement}
+     */
+    function createOpponentButton(opponent, detail, onChoose) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'battle__opponent';
+        button.dataset.say = opponent === COMPUTER
+            ? I18n.t('battle.playComputer')
+            : I18n.t('battle.playProfile', { name: opponent.name });
+
+        const avatar = document.createElement('span');
+        avatar.className = 'battle__opponent-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = opponent.avatar;
+
+        const name = document.createElement('span');
+        name.className = 'battle__opponent-name';
+        name.textContent = getName(opponent);
+
+        const info = document.createElement('span');
+        info.className = 'battle__opponent-detail';
+        info.textContent = detail;
+
+        button.append(avatar, name, info);
+        button.addEventListener('click', onChoose);
+        return button;
+    }
+
+    /**
+     * Look up collected animals, skipping any that no longer exist
+     * @param {Array<string>} ids - Collected animal IDs
+     * @returns {Array<Object>} Animal data objects
+     */
+    function getDeckAnimals(ids) {
+        return ids.map(id => AnimalData.getById(id)).filter(Boolean);
+    }
+
+    /**
+     * Deal the computer a deck of any animals
+     * @param {number} size - Cards the player has
+     * @returns {Array<Object>} Animal data objects
+     */
+    function getComputerDeck(size) {
+        return shuffle(AnimalData.getAll()).slice(0, Math.min(size, MAX_DECK));
+    }
+
+    /**
+     * Deal both decks and start the first round
+     * @param {Array<Object>} own - Active player's collected animals
+     * @param {Array<Object>} theirs - Opponent's animals
+     * @param {Object} opponent - Opponent profile, or COMPUTER
+     */
+    function start(own, theirs, opponent) {
+        const size = Math.min(MAX_DECK, own.length, theirs.length);
+        const active = Profiles.getActive() || { name: I18n.t('battle.you'), avatar: '🦘' };
+
+        battle = {
+            players: [
+                { name: active.name, avatar: active.avatar, computer: false, deck: shuffle(own).slice(0, size) },
+                { name: getName(opponent), avatar: opponent.avatar, computer: opponent === COMPUTER, deck: shuffle(theirs).slice(0, size) }
+            ],
+            turn: 0,
+            round: 0,
+            cards: null,
+            picked: false,
+            over: false
+        };
+
+        renderStatButtons();
+        elements.setup.hidden = true;
+        elements.arena.hidden = false;
+        nextRound();
+    }
+
+    /**
+     * Deal the top card from each deck and wait for a stat to be picked
+     */
+    function nextRound() {
+        if (battle.players.some(player => player.deck.length === 0) || battle.round >= MAX_ROUNDS) {
+            finish();
+            return;
+        }
+
+        battle.round++;
+        battle.cards = battle.players.map(player => player.deck.shift());
+        battle.picked = false;
+
+        const picker = battle.players[battle.turn];
+        const againstComputer = battle.players.some(player => player.computer);
+
+        battle.cards.forEach((animal, index) => {
+            const owner = battle.players[index];
+            // Players see their own card when it's their turn, or always against the computer
+            const faceUp = !owner.computer && (index === battle.turn || againstComputer);
+            renderCard(elements.slots[index], animal, faceUp);
+        });
+
+        updateScores();
+        elements.result.textContent = '';
+        elements.btnNext.hidden = true;
+
+        if (picker.computer) {
+            setStatButtonsEnabled(false);
+            setPrompt(I18n.t('battle.choosing', { name: picker.name }));
+            elements.prompt.focus();
+
+            const token = battleToken;
+            setTimeout(() => {
+                if (token === battleToken) pick(chooseComputerStat(battle.cards[battle.turn]));
+            }, COMPUTER_THINK_DELAY);
+        } else {
+            setStatButtonsEnabled(true);
+            const message = I18n.t('battle.pickStat', { name: picker.name });
+            setPrompt(message);
+            PreReader.prompt(message);
+            elements.stats.querySelector('button').focus();
+        }
+    }
+
+    /**
+     * Pick the computer's stat - usually its best one
+     * @param {Object} animal - Computer's top card
+     * @returns {string} Stat key
+     */
+    function chooseComputerStat(animal) {
+        if (Math.random() < COMPUTER_RANDOM_CHANCE) {
+            return STATS[Math.floor(Math.random() * STATS.length)].key;
+        }
+        return STATS.reduce((best, stat) => animal.stats[stat.key] > animal.stats[best.key] ? stat : best).key;
+    }
+
+    /**
+     * Compare both cards on the chosen stat
+     * @param {string} statKey - Stat to compare
+     */
+    function pick(statKey) {
+        if (!battle || battle.picked) return;
+        battle.picked = true;
+        setStatButtonsEnabled(false);
+
+        const stat = STATS.find(s => s.key === statKey);
+        const picker = battle.players[battle.turn];
+        const [first, second] = battle.cards;
+        const winner = compare(first, second, statKey);
+
+        elements.slots.forEach((slot, index) => {
+            const card = slot.querySelector('.battle-card');
+            setFaceUp(card, card.querySelector('.battle-card__back'), card.querySelector('.battle-card__front'), true);
+            markStat(card, statKey, winner === null ? 'tie' : (winner === index ? 'win' : 'lose'));
+        });
+
+        // Winner takes both cards; a draw puts each back under its own deck
+        if (winner === null) {
+            battle.players.forEach((player, index) => player.deck.push(battle.cards[index]));
+        } else {
+            battle.players[winner].deck.push(...battle.cards);
+            battle.turn = winner;
+        }
+
+        const message = describeRound(stat, winner);
+        const token = battleToken;
+
+        // Let the cards flip before the result appears
+        setTimeout(() => {
+            if (token !== battleToken) return;
+
+            updateScores();
+            setPrompt(I18n.t('battle.picked', { name: picker.name, stat: `${stat.icon} ${getStatLabel(stat)}` }));
+            elements.result.textContent = message;
+            Speech.speak(message);
+
+            battle.over = battle.players.some(player => player.deck.length === 0) || battle.round >= MAX_ROUNDS;
+            elements.btnNext.querySelector('.btn__text').textContent = I18n.t(battle.over ? 'battle.seeWinner' : 'battle.nextRound');
+            elements.btnNext.hidden = false;
+            elements.btnNext.focus();
+        }, REVEAL_DELAY);
+    }
+
+    /**
+     * Work out which card wins on a stat
+     * @param {Object} first - First player's card
+     * @param {Object} second - Second player's card
+     * @param {string} statKey - Stat to compare
+     * @returns {number|null} Index of the winning player, or null for a draw
+     */
+    function compare(first, second, statKey) {
+        const difference = first.stats[statKey] - second.stats[statKey] ||
+            (RARITY_RANK[first.rarity] || 0) - (RARITY_RANK[second.rarity] || 0);
+
+        if (difference === 0) return null;
+        return difference > 0 ? 0 : 1;
+    }
+
+    /**
+     * Describe what happened in a round, to show and speak
+     * @param {Object} stat - Stat that was compared
+     * @param {number|null} winner - Index of the winning player, or null
+     * @returns {string} Message
+     */
+    function describeRound(stat, winner) {
+        const [first, second] = battle.cards;
+        const label = getStatLabel(stat).toLowerCase();
+        const values = [first, second]
+            .map(card => I18n.t('battle.statValue', { name: card.name, stat: label, value: card.stats[stat.key] }))
+            .join(' ');
+
+        if (winner === null) {
+            return `${values} ${I18n.t('battle.draw')}`;
+        }
+
+        const card = battle.cards[winner];
+        const tieBreak = first.stats[stat.key] === second.stats[stat.key]
+            ? ` ${I18n.t('battle.tieBreak', { rarity: I18n.t(`rarity.${card.rarity}`).toLowerCase(), name: card.name })}`
+            : '';
+        return `${values}${tieBreak} ${I18n.t('battle.winsCard', { name: battle.players[winner].name })}`;
+    }
+
+    /**
+     * Move on after a round
+     */
+    function handleNextClick() {
+        if (!battle) return;
+
+        if (battle.over) {
+            finish();
+        } else {
+            nextRound();
+        }
+    }
+
+    /**
+     * Announce the winner and go back to choosing an opponent
+     */
+    function finish() {
+        const [first, second] = battle.players;
+        let message;
+        if (first.deck.length === second.deck.length) {
+            message = I18n.t('battle.drawBattle', {
+                first: first.name,
+                second: second.name,
+                cards: I18n.t('battle.cardCount', { count: first.deck.length })
+            });
+        } else {
+            const winner = first.deck.length > second.deck.length ? first : second;
+            message = I18n.t('battle.winsBattle', {
+                name: winner.name,
+                cards: I18n.t('battle.cardCount', { count: winner.deck.length })
+            });
+        }
+
+        Speech.speak(message);
+        showSetup(`${message} ${I18n.t('battle.again')}`);
+        const firstOpponent = elements.opponents.querySelector('button:not(:disabled)');
+        if (firstOpponent) firstOpponent.focus();
+    }
+
+    /**
+     * Create the stat buttons the picking player chooses from
+     */
+    function renderStatButtons() {
+        elements.stats.innerHTML = '';
+        STATS.forEach(stat => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn--collect battle__stat';
+            button.dataset.say = getStatLabel(stat);
+            button.innerHTML = `<span class="btn__icon">${stat.icon}</span> <span class="btn__text">${getStatLabel(stat)}</span>`;
+            button.addEventListener('click', () => pick(stat.key));
+            elements.stats.appendChild(button);
+        });
+    }
+
+    /**
+     * Turn the stat buttons on or off
+     * @param {boolean} enabled - Whether a person can pick now
+     */
+    function setStatButtonsEnabled(enabled) {
+        elements.stats.querySelectorAll('button').forEach(button => {
+            button.disabled = !enabled;
+        });
+    }
+
+    /**
+     * Deal a card into a slot
+     * @param {HTMLElement} slot - Card slot
+     * @param {Object} animal - Animal data object
+     * @param {boolean} faceUp - Whether to show the card before the reveal
+     */
+    function renderCard(slot, animal, faceUp) {
+        const card = document.createElement('div');
+        card.className = `battle-card battle-card--${animal.rarity}`;
+
+        const inner = document.createElement('div');
+        inner.className = 'battle-card__inner';
+
+        const back = document.createElement('div');
+        back.className = 'battle-card__back';
+        back.setAttribute('role', 'img');
+        back.setAttribute('aria-label', I18n.t('battle.hiddenCard'));
+        back.textContent = '❓';
+
+        const front = document.createElement('div');
+        front.className = 'battle-card__front';
+        setFaceUp(card, back, front, faceUp);
+
+        const img = document.createElement('img');
+        img.className = 'battle-card__image';
+        img.src = animal.image;
+        img.alt = '';
+
+        const name = document.createElement('p');
+        name.className = 'battle-card__name';
+        name.textContent = animal.name;
+
+        const rarity = document.createElement('p');
+        rarity.className = 'battle-card__rarity';
+        rarity.textContent = I18n.t(`rarity.${animal.rarity}`);
+
+        const stats = document.createElement('ul');
+        stats.className = 'battle-card__stats';
+        STATS.forEach(stat => {
+            const value = animal.stats[stat.key];
+            const row = document.createElement('li');
+            row.className = 'battle-card__stat';
+            row.dataset.stat = stat.key;
+            row.innerHTML = `
+                <span class="battle-card__stat-label">${stat.icon} ${getStatLabel(stat)}</span>
+                <span class="battle-card__stat-bar"><span class="battle-card__stat-fill" style="width: ${value * 10}%"></span></span>
+                <span class="battle-card__stat-value">${value}</span>
+            `;
+            stats.appendChild(row);
+        });
+
+        front.append(img, name, rarity, stats);
+        inner.append(back, front);
+        card.appendChild(inner);
+
+        slot.innerHTML = '';
+        slot.appendChild(card);
+    }
+
+    /**
+     * Turn a card face up or down, for screen readers too
+     * @param {HTMLElement} card - Battle card
+     * @param {HTMLElement} back - Card back
+     * @param {HTMLElement} front - Card front
+     * @param {boolean} faceUp - Whether the front shows
+     */
+    function setFaceUp(card, back, front, faceUp) {
+        card.classList.toggle('battle-card--revealed', faceUp);
+        back.setAttribute('aria-hidden', String(faceUp));
+        front.setAttribute('aria-hidden', String(!faceUp));
+    }
+
+    /**
+     * Highlight the compared stat on a card
+     * @param {HTMLElement} card - Battle card
+     * @param {string} statKey - Compared stat
+     * @param {string} outcome - 'win', 'lose' or 'tie'
+     */
+    function markStat(card, statKey, outcome) {
+        const row = card.querySelector(`[data-stat="${statKey}"]`);
+        if (row) row.classList.add('battle-card__stat--picked');
+        card.classList.add(`battle-card--${outcome}`);
+    }
+
+    /**
+     * Show each player's name and how many cards they hold
+     */
+    function updateScores() {
+        battle.players.forEach((player, index) => {
+            // Cards on the table still belong to their players until the round is settled
+            const held = player.deck.length + (battle.picked ? 0 : 1);
+            const cards = I18n.t('battle.cardCount', { count: held });
+            elements.scores[index].textContent = `${player.avatar} ${player.name}: ${cards}`;
+            elements.scores[index].classList.toggle('battle__score--turn', index === battle.turn);
+        });
+    }
+
+    /**
+     * Get an opponent's name
+     * @param {Object} opponent - Profile, or COMPUTER
+     * @returns {string}
+     */
+    function getName(opponent) {
+        return opponent === COMPUTER ? I18n.t('battle.computer') : opponent.name;
+    }
+
+    /**
+     * Get a stat's name
+     * @param {Object} stat - One of STATS
+     * @returns {string}
+     */
+    function getStatLabel(stat) {
+        return I18n.t(`stats.${stat.key}`);
+    }
+
+    /**
+     * Show an instruction above the cards
+     * @param {string} message - Message to show
+     */
+    function setPrompt(message) {
+        elements.prompt.textContent = message;
+    }
+
+    /**
+     * Shuffle a list into a new array
+     * @param {Array} list - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    function shuffle(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        hide
+    };
+})();
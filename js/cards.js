@@ -7,14 +7,20 @@ const Cards = (function() {
 
     let modal = null;
     let currentAnimal = null;
+    let lockedAnimal = null;
+    let releaseFocus = null;
+    let onClose = null;
 
     // DOM element references
     const elements = {};
 
     /**
      * Initialize the cards module
+     * @param {Function} [closeHandler] - Called whenever the card is closed
      */
-    function init() {
+    function init(closeHandler) {
+        onClose = closeHandler || null;
+
         modal = document.getElementById('animal-modal');
         if (!modal) {
             console.error('Animal modal not found');
@@ -32,14 +38,20 @@ const Cards = (function() {
         elements.statSpeed = document.getElementById('stat-speed');
         elements.statDanger = document.getElementById('stat-danger');
         elements.speechPractice = document.getElementById('speech-practice');
-        elements.phonetic = document.getElementById('phonetic-display');
         elements.speechTip = document.getElementById('speech-tip');
         elements.btnSpeak = document.getElementById('btn-speak');
         elements.btnCollect = document.getElementById('btn-collect');
+        elements.locked = document.getElementById('card-locked');
+        elements.lockedHint = document.getElementById('card-locked-hint');
+        elements.btnFind = document.getElementById('btn-card-find');
 
         // Setup close handlers
         setupCloseHandlers();
 
+        if (elements.btnFind) {
+            elements.btnFind.addEventListener('click', findLockedAnimal);
+        }
+
         console.log('Cards module initialized');
     }
 
@@ -47,17 +59,10 @@ const Cards = (function() {
      * Setup modal close handlers
      */
     function setupCloseHandlers() {
-        // Close button and overlay clicks
+        // Close button and overlay clicks (Escape is handled by the focus trap)
         modal.querySelectorAll('[data-close-modal]').forEach(el => {
             el.addEventListener('click', hide);
         });
-
-        // Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && modal.classList.contains('active')) {
-                hide();
-            }
-        });
     }
 
     /**
@@ -67,17 +72,19 @@ const Cards = (function() {
      */
     function show(animal, isCollected = false) {
         currentAnimal = animal;
+        lockedAnimal = null;
+        elements.locked.hidden = true;
 
         // Set card content
         elements.name.textContent = animal.name;
         elements.image.src = animal.image;
         elements.image.alt = animal.name;
-        elements.habitat.textContent = animal.habitat;
+        elements.habitat.textContent = I18n.t(`habitat.${animal.habitat}`);
 
         // Rarity and type
-        elements.rarity.textContent = capitalize(animal.rarity);
+        elements.rarity.textContent = I18n.t(`rarity.${animal.rarity}`);
         elements.rarity.className = `card__rarity card__rarity--${animal.rarity}`;
-        elements.type.textContent = animal.category === 'dinosaur' ? 'Dinosaur' : 'Deadly';
+        elements.type.textContent = I18n.t(`category.${animal.category}`);
 
         // Set card rarity class
         modal.querySelector('.card').className = `modal__content card card--${animal.rarity}`;
@@ -87,41 +94,127 @@ const Cards = (function() {
         setStatBar(elements.statSpeed, animal.stats.speed);
         setStatBar(elements.statDanger, animal.stats.dangerLevel);
 
-        // Fun facts
+        // Fun facts (tap one to hear just that fact)
         elements.factsList.innerHTML = '';
-        animal.facts.forEach(fact => {
+        animal.facts.forEach((fact, index) => {
             const li = document.createElement('li');
-            li.textContent = fact;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'card__fact';
+            button.textContent = fact;
+            button.addEventListener('click', () => readFact(index));
+            li.appendChild(button);
             elements.factsList.appendChild(li);
         });
 
-        // Speech practice section
+        // Speech practice section (always starts on the practice controls)
+        if (typeof PairGame !== 'undefined') {
+            PairGame.close();
+        }
         if (animal.speechPractice && animal.speechPractice.hasGKSound) {
             elements.speechPractice.hidden = false;
-            elements.phonetic.innerHTML = formatPhonetic(
-                animal.speechPractice.phonetic,
-                animal.speechPractice.targetSound
-            );
             elements.speechTip.textContent = animal.speechPractice.tip;
+            if (typeof Practice !== 'undefined') {
+                Practice.render(animal);
+            }
         } else {
             elements.speechPractice.hidden = true;
+            if (typeof Practice !== 'undefined') {
+                Practice.reset();
+            }
         }
 
         // Collect button state
-        if (isCollected) {
-            elements.btnCollect.disabled = true;
-            elements.btnCollect.innerHTML = '<span class="btn__icon">✓</span> Collected!';
-        } else {
-            elements.btnCollect.disabled = false;
-            elements.btnCollect.innerHTML = '<span class="btn__icon">⭐</span> Collect!';
+        setCollectButton(isCollected);
+
+        open(animal);
+        elements.btnSpeak.focus();
+
+        // Children who can't read yet hear the card straight away
+        if (typeof PreReader !== 'undefined' && PreReader.isOn()) {
+            Speech.readCard();
+        }
+    }
+
+    /**
+     * Show a locked teaser for an animal the player hasn't found yet,
+     * e.g. when they follow a link to its card
+     * @param {Object} animal - Animal data object
+     */
+    function showLocked(animal) {
+        if (typeof PairGame !== 'undefined') {
+            PairGame.close();
         }
+        if (typeof Practice !== 'undefined') {
+            Practice.reset();
+        }
+
+        currentAnimal = null;
+        lockedAnimal = animal;
+
+        const hint = I18n.t('cards.lockedHint', {
+            rarity: I18n.t(`rarity.${animal.rarity}`).toLowerCase(),
+            type: I18n.t(`cards.hintType.${animal.category}`),
+            where: I18n.t(`cards.where.${animal.habitat}`)
+        });
+
+        elements.name.textContent = I18n.t('cards.notFound');
+        elements.image.src = animal.image;
+        elements.image.alt = I18n.t('cards.hiddenAnimal');
+        elements.rarity.textContent = I18n.t(`rarity.${animal.rarity}`);
+        elements.rarity.className = `card__rarity card__rarity--${animal.rarity}`;
+        elements.type.textContent = I18n.t(`category.${animal.category}`);
+        elements.lockedHint.textContent = hint;
+        elements.locked.hidden = false;
+        elements.speechPractice.hidden = true;
+
+        modal.querySelector('.card').className = `modal__content card card--${animal.rarity} card--locked`;
+
+        open(animal);
+        elements.btnFind.focus();
 
+        if (typeof PreReader !== 'undefined') {
+            PreReader.prompt(hint);
+        }
+    }
+
+    /**
+     * Show the modal and keep focus inside it
+     * @param {Object} animal - Animal on the card
+     */
+    function open(animal) {
         // Show modal with animation
         modal.classList.add('active');
         modal.setAttribute('aria-hidden', 'false');
 
-        // Focus management for accessibility
-        elements.btnSpeak.focus();
+        // Focus management for accessibility: keep focus in the card,
+        // and put it back on the marker (or whatever opened it) on close
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hide,
+                fallbackFocus: () => GameMap.focusMarker(animal.id)
+            });
+        }
+    }
+
+    /**
+     * Close a locked teaser and show where on the map to look
+     */
+    function findLockedAnimal() {
+        const animal = lockedAnimal;
+        if (!animal) return;
+
+        hide();
+        GameMap.flyTo(animal.id);
+        GameMap.focusMarker(animal.id);
+    }
+
+    /**
+     * Check if the card is showing
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return Boolean(modal) && modal.classList.contains('active');
     }
 
     /**
@@ -136,7 +229,24 @@ const Cards = (function() {
             Speech.stop();
         }
 
+        // Stop any practice recording, playback or sound game
+        if (typeof PairGame !== 'undefined') {
+            PairGame.close();
+        }
+        if (typeof Practice !== 'undefined') {
+            Practice.reset();
+        }
+
         currentAnimal = null;
+        lockedAnimal = null;
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+
+        if (onClose) onClose();
     }
 
     /**
@@ -147,17 +257,55 @@ const Cards = (function() {
         return currentAnimal;
     }
 
+    /**
+     * Get the card elements that show text read aloud, for highlighting
+     * @returns {Object} { name, facts, tip } elements
+     */
+    function getReadAlongTargets() {
+        return {
+            name: elements.name,
+            facts: Array.from(elements.factsList.querySelectorAll('.card__fact')),
+            tip: elements.speechPractice.hidden ? null : elements.speechTip
+        };
+    }
+
+    /**
+     * Read one fact aloud
+     * @param {number} index - Fact number (from 0)
+     */
+    function readFact(index) {
+        if (!currentAnimal || typeof ReadAlong === 'undefined') return;
+
+        const element = getReadAlongTargets().facts[index];
+        ReadAlong.read([{ text: currentAnimal.facts[index], element }], {
+            animal: currentAnimal,
+            clip: 'facts',
+            index
+        });
+    }
+
     /**
      * Update collect button state
      * @param {boolean} collected - Whether collected
      */
     function setCollected(collected) {
         if (collected) {
-            elements.btnCollect.disabled = true;
-            elements.btnCollect.innerHTML = '<span class="btn__icon">✓</span> Collected!';
+            setCollectButton(true);
         }
     }
 
+    /**
+     * Show the collect button as ready or done
+     * @param {boolean} collected - Whether collected
+     */
+    function setCollectButton(collected) {
+        const icon = collected ? '✓' : '⭐';
+        const label = I18n.t(collected ? 'cards.collected' : 'cards.collect');
+
+        elements.btnCollect.disabled = collected;
+        elements.btnCollect.innerHTML = `<span class="btn__icon">${icon}</span> <span class="btn__text">${label}</span>`;
+    }
+
     /**
      * Set stat bar width
      * @param {HTMLElement} element - Stat fill element
@@ -168,32 +316,15 @@ const Cards = (function() {
         element.style.width = `${percentage}%`;
     }
 
-    /**
-     * Format phonetic text with highlighted target sound
-     * @param {string} phonetic - Phonetic spelling
-     * @param {string} targetSound - Sound to highlight
-     * @returns {string} HTML with highlighted sound
-     */
-    function formatPhonetic(phonetic, targetSound) {
-        const regex = new RegExp(`(${targetSound})`, 'gi');
-        return phonetic.replace(regex, '<span class="highlight">$1</span>');
-    }
-
-    /**
-     * Capitalize first letter
-     * @param {string} str - String to capitalize
-     * @returns {string} Capitalized string
-     */
-    function capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
-
     // Public API
     return {
         init,
         show,
+        showLocked,
         hide,
+        isOpen,
         getCurrentAnimal,
+        getReadAlongTargets,
         setCollected
     };
 })();
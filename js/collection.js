@@ -5,26 +5,49 @@
 const Collection = (function() {
     'use strict';
 
-    const STORAGE_KEY = 'animal_adventure_collection';
-    let collection = new Set();
+    // Animal fields that progress is broken down by
+    const GROUP_FIELDS = ['category', 'habitat', 'rarity'];
+
+    // Groups shown as rings in the header (the gallery shows them all)
+    const HEADER_FIELDS = ['category', 'habitat'];
+
+    // Labels are the catalogue's groups.<value> strings
+    const GROUP_ICONS = {
+        deadly: '☠️',
+        dinosaur: '🦖',
+        land: '🌿',
+        sea: '🌊',
+        common: '⚪',
+        uncommon: '🟢',
+        rare: '🔷',
+        legendary: '👑'
+    };
+
+    const RARITY_ORDER = ['common', 'uncommon', 'rare', 'legendary'];
+
+    const CELEBRATION_TIME = 1500;
+    const GROUP_CELEBRATION_TIME = 3000;
+
     let modal = null;
     let grid = null;
+    let celebrationTimer = null;
+    let onOpenAnimal = null;
+    let onClose = null;
+    let releaseFocus = null;
 
     /**
      * Initialize the collection module
+     * @param {Function} [openAnimalHandler] - Called with an animal when its gallery item is opened
+     * @param {Function} [closeHandler] - Called whenever the gallery is closed
      */
-    function init() {
+    function init(openAnimalHandler, closeHandler) {
+        onOpenAnimal = openAnimalHandler || null;
+        onClose = closeHandler || null;
+
         modal = document.getElementById('collection-modal');
         grid = document.getElementById('collection-grid');
 
-        // Load saved collection from localStorage
-        loadFromStorage();
-
-        // Setup toggle button
-        const toggleBtn = document.getElementById('collection-toggle');
-        if (toggleBtn) {
-            toggleBtn.addEventListener('click', showGallery);
-        }
+        // The toggle is a link to #/collection - App's router opens the gallery
 
         // Setup close handlers for gallery modal
         if (modal) {
@@ -51,30 +74,18 @@ const Collection = (function() {
     }
 
     /**
-     * Load collection from localStorage
+     * Get the active player's collected animals from their save
+     * @returns {Object} Map of animal ID to { collectedAt }
      */
-    function loadFromStorage() {
-        try {
-            const saved = localStorage.getItem(STORAGE_KEY);
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                collection = new Set(parsed);
-            }
-        } catch (error) {
-            console.error('Error loading collection:', error);
-            collection = new Set();
-        }
+    function getEntries() {
+        return SaveData.get().collection;
     }
 
     /**
-     * Save collection to localStorage
+     * Reload the collection after the player changes
      */
-    function saveToStorage() {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify([...collection]));
-        } catch (error) {
-            console.error('Error saving collection:', error);
-        }
+    function reload() {
+        updateProgressDisplay();
     }
 
     /**
@@ -83,15 +94,41 @@ const Collection = (function() {
      * @returns {boolean} True if newly collected, false if already had
      */
     function collect(animalId) {
-        if (collection.has(animalId)) {
+        if (isCollected(animalId)) {
             return false;
         }
 
-        collection.add(animalId);
-        saveToStorage();
+        getEntries()[animalId] = { collectedAt: Date.now() };
+        SaveData.save();
         updateProgressDisplay();
-        showCelebration();
 
+        const animal = AnimalData.getById(animalId);
+        const { collected, total } = getProgress();
+
+        // Groups this animal just finished, e.g. "That's all the dinosaurs!"
+        const completed = animal
+            ? getGroupProgress().filter(group => group.complete && animal[group.field] === group.value)
+            : [];
+        const labels = collected === total ? [I18n.t('groups.all')] : completed.map(group => group.label);
+        const completedText = labels.length > 0
+            ? ` ${I18n.t('collection.groupComplete', { groups: I18n.formatList(labels) })}`
+            : '';
+
+        if (labels.length > 0) {
+            showCelebration(I18n.t('collection.groupFound', { group: labels[0] }), true);
+            Sound.play('fanfare');
+        } else {
+            showCelebration();
+            Sound.play('collect', { rarity: animal ? animal.rarity : 'common' });
+        }
+
+        if (animal) {
+            PreReader.prompt(`${I18n.t('collection.hooray', { name: animal.name })}${completedText}`);
+        }
+        A11y.announce(`${I18n.t('collection.discovered', { name: animal ? animal.name : I18n.t('collection.animal') })} ` +
+            `${I18n.t('collection.progress', { count: collected, total })}${completedText}`);
+
+        document.dispatchEvent(new CustomEvent('collection:collected', { detail: { animalId } }));
         return true;
     }
 
@@ -101,7 +138,16 @@ const Collection = (function() {
      * @returns {boolean} Whether the animal is collected
      */
     function isCollected(animalId) {
-        return collection.has(animalId);
+        return Object.prototype.hasOwnProperty.call(getEntries(), animalId);
+    }
+
+    /**
+     * Get when an animal was collected
+     * @param {string} animalId - Animal ID
+     * @returns {number|null} Timestamp, or null if unknown or not collected
+     */
+    function getCollectedAt(animalId) {
+        return isCollected(animalId) ? getEntries()[animalId].collectedAt : null;
     }
 
     /**
@@ -109,46 +155,139 @@ const Collection = (function() {
      * @returns {Array} Array of collected animal IDs
      */
     function getCollectedIds() {
-        return [...collection];
+        return Object.keys(getEntries());
     }
 
     /**
      * Get collection progress
-     * @param {number} total - Total number of animals
+     * @param {Array<Object>} [animals] - Animals to count (default: all loaded animals)
      * @returns {Object} Progress object with count and percentage
      */
-    function getProgress(total = 20) {
-        const count = collection.size;
+    function getProgress(animals = AnimalData.getAll()) {
+        const count = animals.filter(animal => isCollected(animal.id)).length;
+        const total = animals.length;
         return {
             collected: count,
             total: total,
-            percentage: Math.round((count / total) * 100)
+            percentage: total > 0 ? Math.round((count / total) * 100) : 0
         };
     }
 
+    /**
+     * Get progress for each category, habitat and rarity in the animal data
+     * @returns {Array<Object>} Groups as { field, value, label, icon, collected, total, percentage, complete }
+     */
+    function getGroupProgress() {
+        const animals = AnimalData.getAll();
+        const groups = [];
+
+        GROUP_FIELDS.forEach(field => {
+            const values = [...new Set(animals.map(animal => animal[field]))];
+            if (field === 'rarity') {
+                values.sort((a, b) => RARITY_ORDER.indexOf(a) - RARITY_ORDER.indexOf(b));
+            }
+
+            values.forEach(value => {
+                const progress = getProgress(animals.filter(animal => animal[field] === value));
+                const known = Object.prototype.hasOwnProperty.call(GROUP_ICONS, value);
+                groups.push({
+                    field,
+                    value,
+                    label: known ? I18n.t(`groups.${value}`) : I18n.t('groups.other', { value }),
+                    icon: known ? GROUP_ICONS[value] : '❔',
+                    ...progress,
+                    complete: progress.collected === progress.total
+                });
+            });
+        });
+
+        return groups;
+    }
+
     /**
      * Update the progress display in the header
      */
     function updateProgressDisplay() {
+        const { collected, total } = getProgress();
+
         const progressEl = document.getElementById('progress-count');
         if (progressEl) {
-            progressEl.textContent = collection.size;
+            progressEl.textContent = collected;
+        }
+        const totalEl = document.getElementById('progress-total');
+        if (totalEl) {
+            totalEl.textContent = total;
+        }
+
+        const rings = document.getElementById('progress-rings');
+        if (rings) {
+            renderRings(rings, getGroupProgress().filter(group => HEADER_FIELDS.includes(group.field)), false);
         }
     }
 
+    /**
+     * Show group progress as rings
+     * @param {HTMLElement} container - Element to fill
+     * @param {Array<Object>} groups - Groups from getGroupProgress()
+     * @param {boolean} withCounts - Whether to write "3/10" under each ring
+     */
+    function renderRings(container, groups, withCounts) {
+        container.innerHTML = '';
+
+        groups.forEach(group => {
+            const ring = document.createElement('li');
+            ring.className = 'progress-ring';
+            ring.classList.toggle('progress-ring--complete', group.complete);
+            ring.title = I18n.t('collection.ringTitle', {
+                group: capitalize(group.label), count: group.collected, total: group.total
+            });
+            ring.dataset.say = I18n.t('collection.ringSay', {
+                group: group.label, count: group.collected, total: group.total
+            });
+
+            ring.innerHTML = `
+                <svg class="progress-ring__svg" viewBox="0 0 36 36" aria-hidden="true">
+                    <circle class="progress-ring__track" cx="18" cy="18" r="15" pathLength="100"></circle>
+                    <circle class="progress-ring__fill" cx="18" cy="18" r="15" pathLength="100"
+                        stroke-dasharray="${group.percentage} 100"></circle>
+                </svg>
+                <span class="progress-ring__icon" aria-hidden="true">${group.icon}</span>
+                <span class="visually-hidden">${ring.title}</span>
+            `;
+
+            if (withCounts) {
+                const count = document.createElement('span');
+                count.className = 'progress-ring__count';
+                count.setAttribute('aria-hidden', 'true');
+                count.textContent = `${group.collected}/${group.total}`;
+                ring.appendChild(count);
+            }
+
+            container.appendChild(ring);
+        });
+    }
+
     /**
      * Show celebration animation for new discovery
+     * @param {string} [message] - Text to show
+     * @param {boolean} [groupComplete] - Whether a whole group was just finished
      */
-    function showCelebration() {
+    function showCelebration(message = I18n.t('collection.newDiscovery'), groupComplete = false) {
         const celebration = document.getElementById('celebration');
         if (!celebration) return;
 
+        const text = celebration.querySelector('.celebration__text');
+        const stars = celebration.querySelector('.celebration__stars');
+        if (text) text.textContent = message;
+        if (stars) stars.textContent = groupComplete ? '🏆🎉🏆' : '✨🌟✨';
+        celebration.classList.toggle('celebration--group', groupComplete);
         celebration.hidden = false;
 
         // Hide after animation
-        setTimeout(() => {
+        clearTimeout(celebrationTimer);
+        celebrationTimer = setTimeout(() => {
             celebration.hidden = true;
-        }, 1500);
+        }, groupComplete ? GROUP_CELEBRATION_TIME : CELEBRATION_TIME);
     }
 
     /**
@@ -159,9 +298,20 @@ const Collection = (function() {
 
         // Build gallery content
         renderGallery();
+        Sound.play('pageTurn');
 
         modal.classList.add('active');
         modal.setAttribute('aria-hidden', 'false');
+
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hideGallery
+            });
+        }
+        const first = A11y.getFocusable(modal.querySelector('.modal__content'))[0];
+        if (first) first.focus();
+
+        PreReader.prompt('gallery');
     }
 
     /**
@@ -172,6 +322,22 @@ const Collection = (function() {
 
         modal.classList.remove('active');
         modal.setAttribute('aria-hidden', 'true');
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+
+        if (onClose) onClose();
+    }
+
+    /**
+     * Check if the gallery is showing
+     * @returns {boolean}
+     */
+    function isGalleryOpen() {
+        return Boolean(modal) && modal.classList.contains('active');
     }
 
     /**
@@ -187,6 +353,15 @@ const Collection = (function() {
             const item = createGalleryItem(animal);
             grid.appendChild(item);
         });
+
+        const rings = document.getElementById('gallery-progress');
+        if (rings) {
+            renderRings(rings, getGroupProgress(), true);
+        }
+
+        if (typeof Achievements !== 'undefined') {
+            Achievements.renderShelf();
+        }
     }
 
     /**
@@ -195,7 +370,7 @@ const Collection = (function() {
      * @returns {HTMLElement} Gallery item element
      */
     function createGalleryItem(animal) {
-        const isOwned = collection.has(animal.id);
+        const isOwned = isCollected(animal.id);
 
         const item = document.createElement('div');
         item.className = `collection-item collection-item--${animal.rarity}`;
@@ -219,52 +394,75 @@ const Collection = (function() {
         name.textContent = isOwned ? animal.name : '???';
         item.appendChild(name);
 
-        // Click to view card if collected
+        // Click (or Enter/Space) to view card if collected
         if (isOwned) {
-            item.addEventListener('click', () => {
+            const open = () => {
+                if (onOpenAnimal) {
+                    onOpenAnimal(animal);
+                    return;
+                }
                 hideGallery();
+                GameMap.flyTo(animal.id);
                 Cards.show(animal, true);
+            };
+            item.tabIndex = 0;
+            item.setAttribute('role', 'button');
+            item.setAttribute('aria-label', I18n.t('collection.openCard', { name: animal.name }));
+            item.addEventListener('click', open);
+            item.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    open();
+                }
             });
+        } else {
+            item.setAttribute('aria-label', I18n.t('collection.notDiscovered'));
+            item.dataset.say = I18n.t('collection.notDiscoveredSay');
         }
 
         return item;
     }
 
     /**
-     * Trigger print view
+     * Print the poster map or the cut-out cards
      * @param {string} mode - 'map' or 'cards'
      */
     function printView(mode) {
-        document.body.classList.add('print-mode');
-        document.body.dataset.printMode = mode;
-
-        window.print();
-
-        // Cleanup after print
-        setTimeout(() => {
-            document.body.classList.remove('print-mode');
-            delete document.body.dataset.printMode;
-        }, 100);
+        Print.print(mode);
     }
 
     /**
      * Reset collection (for testing)
      */
     function reset() {
-        collection.clear();
-        saveToStorage();
+        SaveData.get().collection = {};
+        SaveData.save();
         updateProgressDisplay();
     }
 
+    /**
+     * Capitalize first letter
+     * @param {string} str - String to capitalize
+     * @returns {string} Capitalized string
+     */
+    function capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
     // Public API
     return {
         init,
+        reload,
         collect,
         isCollected,
+        getCollectedAt,
         getCollectedIds,
         getProgress,
+        getGroupProgress,
         showGallery,
         hideGallery,
+        isGalleryOpen,
+        renderGallery,
         reset
     };
 })();
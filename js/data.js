@@ -2,11 +2,37 @@
    Data Module - Animal Data Management
    ======================================== */
 
+/*
+ * animals.json is written in English. An animal can carry translations
+ * of the words shown and spoken on its card:
+ *
+ *   "translations": {
+ *     "es": { "name": "Ornitorrinco", "facts": [...], "tip": "...", "audio": {...},
+ *             "speechPractice": { "phonetic": "or-ni-to-RRIN-ko" } }
+ *   }
+ *
+ * setLocale() swaps these into the animal objects themselves, so every
+ * module reading animal.name or animal.facts gets the player's language.
+ * Anything not translated stays English. Recorded English clips are only
+ * played in English - a translation brings its own `audio` or uses the voice.
+ *
+ * Speech practice uses the translated name only when the translation
+ * spells it out phonetically; otherwise the child practises the English
+ * name. speechPractice.word and speechPractice.locale say which.
+ */
+
 const AnimalData = (function() {
     'use strict';
 
+    // Language animals.json is written in
+    const BASE_LOCALE = 'en';
+
     let animals = [];
     let loaded = false;
+    let locale = BASE_LOCALE;
+
+    // The English words of each animal, by ID
+    const originals = new Map();
 
     /**
      * Load animals from JSON file
@@ -23,6 +49,9 @@ const AnimalData = (function() {
             animals = await response.json();
             loaded = true;
             console.log(`Loaded ${animals.length} animals`);
+            reportProblems(animals);
+            rememberOriginals();
+            setLocale(locale);
             return animals;
         } catch (error) {
             console.error('Error loading animal data:', error);
@@ -31,6 +60,73 @@ const AnimalData = (function() {
         }
     }
 
+    /**
+     * Log any problems in the animal data (e.g. a sea animal placed on land)
+     * @param {Array} data - Loaded animals
+     */
+    function reportProblems(data) {
+        if (typeof AnimalValidator === 'undefined') return;
+
+        const problems = AnimalValidator.validate(data);
+        problems.forEach(problem => {
+            console.error(`animals.json: ${AnimalValidator.formatProblem(problem)}`);
+        });
+        if (problems.length > 0) {
+            console.warn(`animals.json has ${problems.length} problem(s) - run node scripts/validate-animals.js`);
+        }
+    }
+
+    /**
+     * Keep each animal's English words so languages can be switched back
+     */
+    function rememberOriginals() {
+        animals.forEach(animal => {
+            originals.set(animal.id, {
+                name: animal.name,
+                facts: animal.facts,
+                tip: animal.speechPractice ? animal.speechPractice.tip : undefined,
+                phonetic: animal.speechPractice ? animal.speechPractice.phonetic : undefined,
+                audio: animal.audio
+            });
+        });
+    }
+
+    /**
+     * Show every animal in a language (untranslated words stay English)
+     * @param {string} code - Locale code, e.g. 'es'
+     */
+    function setLocale(code) {
+        locale = code;
+
+        animals.forEach(animal => {
+            const original = originals.get(animal.id);
+            if (!original) return;
+
+            const translation = (code !== BASE_LOCALE && animal.translations && animal.translations[code]) || {};
+            const facts = Array.isArray(translation.facts) && translation.facts.length === original.facts.length
+                ? translation.facts
+                : original.facts;
+
+            animal.name = translation.name || original.name;
+            animal.facts = facts;
+            if (animal.speechPractice) {
+                const practice = translation.speechPractice;
+                animal.speechPractice.tip = translation.tip || original.tip;
+                animal.speechPractice.phonetic = practice ? practice.phonetic : original.phonetic;
+                animal.speechPractice.word = practice ? animal.name : original.name;
+                animal.speechPractice.locale = practice ? code : BASE_LOCALE;
+            }
+
+            if (code === BASE_LOCALE) {
+                animal.audio = original.audio;
+            } else if (translation.audio) {
+                animal.audio = translation.audio;
+            } else {
+                delete animal.audio;
+            }
+        });
+    }
+
     /**
      * Get all animals
      * @returns {Array} Array of all animals
@@ -57,6 +153,15 @@ const AnimalData = (function() {
         return animals.filter(animal => animal.category === category);
     }
 
+    /**
+     * Get animals for one of the filter buttons
+     * @param {string} filter - 'all' or a category ('deadly', 'dinosaur')
+     * @returns {Array} Filtered animals
+     */
+    function getByFilter(filter) {
+        return filter === 'all' ? getAll() : getByCategory(filter);
+    }
+
     /**
      * Get animals by habitat type
      * @param {string} habitat - 'land' or 'sea'
@@ -96,9 +201,11 @@ const AnimalData = (function() {
     // Public API
     return {
         loadAnimals,
+        setLocale,
         getAll,
         getById,
         getByCategory,
+        getByFilter,
         getByHabitat,
         getGKSoundAnimals,
         getByRarity,
@@ -0,0 +1,408 @@
+/* ========================================
+   Fog Module - Exploring the Map
+   ======================================== */
+
+/*
+ * The map starts under parchment fog. Dragging the magnifying glass
+ * clears the fog beneath it, and any animal found there pops out.
+ *
+ * Cleared areas are cells in a COLUMNS x ROWS grid laid over the whole
+ * map (square cells, as the map is 4:3), saved per player as cell
+ * numbers counted across then down:
+ *
+ *   exploration: { revealed: [97, 98, 129] }
+ *
+ * Legendary animals stay hidden, even in cleared fog, until the
+ * NEARBY_COUNT closest other animals have been collected. Collected
+ * animals are always on show.
+ */
+
+const Fog = (function() {
+    'use strict';
+
+    const COLUMNS = 32;
+    const ROWS = 24;
+
+    // The glass's lens, in screen pixels, and how far an arrow key moves it
+    const TORCH_RADIUS_PX = 44;
+    const KEY_STEP_PX = 24;
+
+    const NEARBY_COUNT = 2;
+
+    // A little of the coastline shows through, so there's a map to explore
+    const FOG_OPACITY = 0.9;
+    const FOG_PATCHES = 60;
+
+    let mapElement = null;
+    let canvas = null;
+    let revealed = new Set();
+
+    // Where the glass is, as a fraction of the map container
+    let torch = { x: 0.5, y: 0.5 };
+
+    // The pointer dragging the glass, and where on the glass it took hold
+    let drag = null;
+
+    // Legendary animal ID -> IDs of the animals that unlock it
+    const neighbours = new Map();
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the fog (after GameMap has drawn the map)
+     * @param {string} containerId - ID of the map container element
+     */
+    function init(containerId) {
+        mapElement = document.getElementById(containerId);
+        if (!mapElement) {
+            console.error('Map container not found:', containerId);
+            return;
+        }
+
+        canvas = document.createElement('canvas');
+        canvas.className = 'fog';
+        canvas.setAttribute('aria-hidden', 'true');
+        const svg = mapElement.querySelector('svg');
+        if (svg) {
+            svg.after(canvas);
+        } else {
+            mapElement.prepend(canvas);
+        }
+
+        elements.torch = createTorch();
+        mapElement.appendChild(elements.torch);
+        I18n.applyTo(mapElement);
+        placeTorch();
+
+        // A collected animal may be what a legendary one was waiting for
+        document.addEventListener('collection:collected', () => update(true));
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => draw()).observe(mapElement);
+        } else {
+            window.addEventListener('resize', draw);
+        }
+
+        console.log('Fog module initialized');
+    }
+
+    /**
+     * Create the draggable magnifying glass
+     * @returns {HTMLButtonElement}
+     */
+    function createTorch() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'fog-torch';
+        button.dataset.i18nAttr = 'aria-label:fog.torch data-say:fog.torchSay';
+        button.innerHTML = '<span class="fog-torch__lens"></span><span class="fog-torch__handle"></span>';
+
+        button.addEventListener('pointerdown', handlePointerDown);
+        button.addEventListener('pointermove', handlePointerMove);
+        button.addEventListener('pointerup', handlePointerEnd);
+        button.addEventListener('pointercancel', handlePointerEnd);
+        button.addEventListener('keydown', handleKeydown);
+
+        return button;
+    }
+
+    /**
+     * Load the active player's cleared fog
+     */
+    function reload() {
+        const saved = SaveData.get().exploration.revealed;
+        revealed = new Set(saved.filter(cell => Number.isInteger(cell) && cell >= 0 && cell < COLUMNS * ROWS));
+
+        draw();
+        update(false);
+    }
+
+    /**
+     * Start dragging the glass (and stop the map panning underneath it)
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        event.stopPropagation();
+
+        const rect = mapElement.getBoundingClientRect();
+        drag = {
+            pointerId: event.pointerId,
+            offsetX: event.clientX - (rect.left + torch.x * rect.width),
+            offsetY: event.clientY - (rect.top + torch.y * rect.height)
+        };
+        elements.torch.setPointerCapture(event.pointerId);
+        elements.torch.classList.add('fog-torch--dragging');
+    }
+
+    /**
+     * Move the glass with the finger or mouse
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerMove(event) {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        moveTorch(event.clientX - drag.offsetX, event.clientY - drag.offsetY);
+    }
+
+    /**
+     * Put the glass down and keep what it found
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerEnd(event) {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        drag = null;
+        elements.torch.classList.remove('fog-torch--dragging');
+        saveRevealed();
+    }
+
+    /**
+     * Arrow keys move the glass
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleKeydown(event) {
+        const steps = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const step = steps[event.key];
+        if (!step) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const rect = mapElement.getBoundingClientRect();
+        moveTorch(
+            rect.left + torch.x * rect.width + step[0] * KEY_STEP_PX,
+            rect.top + torch.y * rect.height + step[1] * KEY_STEP_PX
+        );
+        saveRevealed();
+    }
+
+    /**
+     * Move the glass to a point on the screen and clear the fog there
+     * @param {number} clientX - Screen X
+     * @param {number} clientY - Screen Y
+     */
+    function moveTorch(clientX, clientY) {
+        const rect = mapElement.getBoundingClientRect();
+        if (rect.width === 0) return;
+
+        torch = {
+            x: Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (clientY - rect.top) / rect.height))
+        };
+        placeTorch();
+
+        revealAt(rect.left + torch.x * rect.width, rect.top + torch.y * rect.height, rect);
+    }
+
+    /**
+     * Show the glass where it is
+     */
+    function placeTorch() {
+        elements.torch.style.left = `${torch.x * 100}%`;
+        elements.torch.style.top = `${torch.y * 100}%`;
+    }
+
+    /**
+     * Clear the cells under the glass
+     * @param {number} clientX - Screen X of the lens centre
+     * @param {number} clientY - Screen Y of the lens centre
+     * @param {DOMRect} rect - Map container size
+     */
+    function revealAt(clientX, clientY, rect) {
+        const point = GameMap.toMapPoint(clientX, clientY);
+        const column = point.x / 100 * COLUMNS;
+        const row = point.y / 100 * ROWS;
+
+        // The lens stays the same size on screen, so it covers fewer cells zoomed in
+        const radius = TORCH_RADIUS_PX / (rect.width * GameMap.getZoom()) * COLUMNS;
+
+        const found = [];
+        for (let r = Math.floor(row - radius); r <= Math.ceil(row + radius); r++) {
+            for (let c = Math.floor(column - radius); c <= Math.ceil(column + radius); c++) {
+                if (r < 0 || r >= ROWS || c < 0 || c >= COLUMNS) continue;
+
+                const cell = r * COLUMNS + c;
+                if (revealed.has(cell)) continue;
+                if (Math.hypot(c + 0.5 - column, r + 0.5 - row) <= Math.max(radius, 0.5)) {
+                    revealed.add(cell);
+                    found.push(cell);
+                }
+            }
+        }
+
+        if (found.length === 0) return;
+
+        clearCells(found);
+        update(true);
+    }
+
+    /**
+     * Save the cleared cells for the active player
+     */
+    function saveRevealed() {
+        const saved = SaveData.get().exploration;
+        if (saved.revealed.length === revealed.size) return;
+
+        saved.revealed = [...revealed].sort((a, b) => a - b);
+        SaveData.save();
+    }
+
+    /**
+     * Paint the fog over the whole map, leaving the cleared cells open
+     */
+    function draw() {
+        if (!canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(mapElement.clientWidth * ratio);
+        canvas.height = Math.round(mapElement.clientHeight * ratio);
+        if (canvas.width === 0) return;
+
+        const context = canvas.getContext('2d');
+        const styles = getComputedStyle(document.documentElement);
+        const light = styles.getPropertyValue('--color-parchment').trim();
+        const dark = styles.getPropertyValue('--color-parchment-dark').trim();
+
+        context.globalCompositeOperation = 'source-over';
+        context.globalAlpha = FOG_OPACITY;
+        context.fillStyle = light;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Darker patches, the same every time so the fog doesn't flicker
+        const random = seededRandom(COLUMNS * ROWS);
+        context.globalAlpha = 0.5;
+        for (let i = 0; i < FOG_PATCHES; i++) {
+            const x = random() * canvas.width;
+            const y = random() * canvas.height;
+            const size = (0.04 + random() * 0.08) * canvas.width;
+            const patch = context.createRadialGradient(x, y, 0, x, y, size);
+            patch.addColorStop(0, dark);
+            patch.addColorStop(1, 'transparent');
+            context.fillStyle = patch;
+            context.fillRect(x - size, y - size, size * 2, size * 2);
+        }
+        context.globalAlpha = 1;
+
+        clearCells([...revealed]);
+    }
+
+    /**
+     * Rub out the fog over some cells, with soft edges that blend
+     * into their neighbours
+     * @param {Array<number>} cells - Cell numbers
+     */
+    function clearCells(cells) {
+        if (!canvas || canvas.width === 0) return;
+
+        const context = canvas.getContext('2d');
+        const size = canvas.width / COLUMNS;
+
+        context.globalCompositeOperation = 'destination-out';
+        cells.forEach(cell => {
+            const x = (cell % COLUMNS + 0.5) * size;
+            const y = (Math.floor(cell / COLUMNS) + 0.5) * size;
+            const hole = context.createRadialGradient(x, y, size * 0.5, x, y, size * 1.1);
+            hole.addColorStop(0, 'black');
+            hole.addColorStop(1, 'transparent');
+            context.fillStyle = hole;
+            context.fillRect(x - size * 1.1, y - size * 1.1, size * 2.2, size * 2.2);
+        });
+        context.globalCompositeOperation = 'source-over';
+    }
+
+    /**
+     * Hide the animals still under the fog, and cheer for any that appear
+     * @param {boolean} celebrate - Announce animals that have just appeared
+     */
+    function update(celebrate) {
+        if (!AnimalData.isLoaded()) return;
+
+        const hidden = AnimalData.getAll()
+            .filter(animal => !isFound(animal))
+            .map(animal => animal.id);
+        const uncovered = GameMap.setHiddenMarkers(hidden, celebrate);
+
+        if (celebrate && uncovered.length > 0) {
+            Sound.play('pop');
+
+            const legendary = uncovered
+                .map(id => AnimalData.getById(id))
+                .find(animal => animal && animal.rarity === 'legendary');
+            A11y.announce(legendary
+                ? I18n.t('fog.legendary')
+                : I18n.t('fog.found', { count: uncovered.length }));
+        }
+    }
+
+    /**
+     * Check whether an animal can be seen on the map
+     * @param {Object} animal - Animal data object
+     * @returns {boolean}
+     */
+    function isFound(animal) {
+        if (Collection.isCollected(animal.id)) return true;
+        if (!revealed.has(getCell(animal))) return false;
+        if (animal.rarity !== 'legendary') return true;
+
+        return getNeighbours(animal).every(id => Collection.isCollected(id));
+    }
+
+    /**
+     * @param {Object} animal - Animal data object
+     * @returns {number} The cell the animal's marker sits in
+     */
+    function getCell(animal) {
+        const position = Geography.getAnimalPercent(animal);
+        const column = Math.min(COLUMNS - 1, Math.max(0, Math.floor(position.x / 100 * COLUMNS)));
+        const row = Math.min(ROWS - 1, Math.max(0, Math.floor(position.y / 100 * ROWS)));
+        return row * COLUMNS + column;
+    }
+
+    /**
+     * Find the animals that have to be collected before a legendary one appears
+     * @param {Object} animal - Legendary animal
+     * @returns {Array<string>} Animal IDs
+     */
+    function getNeighbours(animal) {
+        if (!neighbours.has(animal.id)) {
+            const from = Geography.getAnimalPercent(animal);
+            const closest = AnimalData.getAll()
+                .filter(other => other.rarity !== 'legendary')
+                .map(other => {
+                    const to = Geography.getAnimalPercent(other);
+                    // Percentages across are wider than percentages down (4:3)
+                    return { id: other.id, distance: Math.hypot((to.x - from.x) * 4, (to.y - from.y) * 3) };
+                })
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, NEARBY_COUNT)
+                .map(other => other.id);
+            neighbours.set(animal.id, closest);
+        }
+        return neighbours.get(animal.id);
+    }
+
+    /**
+     * A repeatable stream of random-looking numbers
+     * @param {number} seed - Starting value
+     * @returns {Function} Returns the next number from 0 to 1
+     */
+    function seededRandom(seed) {
+        let value = seed;
+        return () => {
+            value = (value * 16807) % 2147483647;
+            return (value - 1) / 2147483646;
+        };
+    }
+
+    // Public API
+    return {
+        init,
+        reload
+    };
+})();
@@ -0,0 +1,287 @@
+/* ========================================
+   Geography Module - Map Projection & Outline
+   ======================================== */
+
+/*
+ * The outline, state borders and reef are stored as real
+ * [longitude, latitude] points and projected into the map's
+ * 800 x 600 viewBox. They are shared by the map (which draws them)
+ * and the animal validator (which checks land animals sit on land and
+ * sea animals sit in the sea).
+ *
+ * Animals are placed by `location: { lat, lon }`. Older data that only
+ * has a percentage `position: { x, y }` still works as a fallback.
+ */
+
+const Geography = (function() {
+    'use strict';
+
+    const VIEWBOX = { width: 800, height: 600 };
+
+    // Equirectangular projection centred on Australia. Longitude is
+    // squeezed by cos(centre latitude) so the continent keeps its shape.
+    const PROJECTION = {
+        centerLon: 133.5,
+        centerLat: -27,
+        pixelsPerDegree: 16
+    };
+    const LON_SCALE = PROJECTION.pixelsPerDegree * Math.cos(PROJECTION.centerLat * Math.PI / 180);
+
+    // Coastlines as [lon, lat], clockwise from North West Cape
+    const LAND = {
+        mainland: [
+            [114.1, -21.8], [115.1, -21.6], [116.7, -20.6], [118.6, -20.3],
+            [119.8, -19.9], [121.0, -19.4], [122.2, -18.0], [122.9, -16.4],
+            [123.6, -16.9], [124.4, -16.0], [125.0, -15.0], [126.0, -14.1],
+            [126.9, -13.8], [127.9, -14.5], [128.2, -15.4], [129.0, -14.9],
+            [129.5, -14.2], [129.8, -13.5], [130.3, -12.8], [130.8, -12.4],
+            [131.3, -12.1], [132.2, -11.3], [132.6, -11.5], [133.4, -11.8],
+            [134.2, -12.0], [135.2, -12.2], [136.0, -11.9], [136.8, -12.2],
+            [136.6, -13.0], [135.9, -13.3], [135.5, -14.5], [135.4, -15.0],
+            [136.3, -15.6], [137.0, -15.9], [137.8, -16.4], [138.5, -16.8],
+            [139.3, -17.4], [140.3, -17.6], [140.9, -17.0], [141.3, -16.0],
+            [141.5, -15.0], [141.6, -13.9], [141.6, -12.9], [141.9, -12.2],
+            [142.1, -11.4], [142.5, -10.7], [142.8, -11.0], [143.1, -11.9],
+            [143.3, -12.6], [143.6, -13.6], [144.4, -14.3], [145.3, -14.9],
+            [145.3, -15.5], [145.5, -16.4], [145.8, -16.9], [146.1, -17.6],
+            [146.2, -18.4], [146.8, -19.2], [147.6, -19.6], [148.3, -20.0],
+            [148.9, -20.5], [149.2, -21.1], [149.7, -22.3], [150.5, -22.6],
+            [150.8, -23.5], [151.3, -23.9], [152.2, -24.8], [152.9, -25.4],
+            [153.1, -26.4], [153.4, -27.4], [153.6, -28.2], [153.6, -28.6],
+            [153.3, -29.4], [153.1, -30.3], [152.9, -31.4], [152.5, -32.2],
+            [151.8, -32.9], [151.3, -33.8], [150.9, -34.4], [150.7, -35.1],
+            [150.2, -35.9], [150.0, -36.9], [150.0, -37.5], [149.3, -37.8],
+            [148.3, -37.8], [147.4, -38.1], [146.3, -39.1], [145.9, -38.6],
+            [145.4, -38.5], [144.9, -38.4], [144.3, -38.3], [143.5, -38.8],
+            [142.5, -38.4], [141.6, -38.4], [141.0, -38.05], [140.4, -37.9],
+            [139.8, -37.3], [139.7, -36.9], [139.3, -36.0], [138.9, -35.6],
+            [138.1, -35.6], [138.5, -34.9], [138.2, -34.2], [137.9, -35.0],
+            [136.9, -35.3], [137.6, -34.2], [138.0, -33.2], [137.8, -32.5],
+            [137.6, -33.0], [136.9, -33.7], [136.1, -34.4], [135.9, -34.7],
+            [136.0, -35.0], [135.4, -34.6], [134.9, -33.6], [134.2, -32.8],
+            [133.7, -32.1], [132.4, -32.0], [131.1, -31.5], [129.0, -31.7],
+            [127.0, -32.2], [125.5, -32.5], [124.0, -33.0], [121.9, -33.9],
+            [120.0, -33.9], [119.4, -34.4], [117.9, -35.0], [116.5, -35.0],
+            [115.1, -34.4], [115.0, -33.5], [115.6, -33.3], [115.7, -32.5],
+            [115.75, -31.95], [115.4, -31.0], [115.0, -30.3], [114.6, -28.8],
+            [114.15, -27.7], [114.0, -26.5], [113.2, -26.1], [113.65, -24.9],
+            [113.4, -24.0], [113.7, -23.1]
+        ],
+        tasmania: [
+            [144.6, -40.7], [145.3, -40.8], [146.4, -41.1], [146.9, -41.0],
+            [147.9, -40.9], [148.3, -41.0], [148.3, -42.0], [147.9, -42.9],
+            [147.3, -43.2], [146.8, -43.6], [146.0, -43.5], [145.5, -42.9],
+            [145.2, -42.2], [144.8, -41.5]
+        ]
+    };
+
+    // Great Barrier Reef: inner edge north to south, then outer edge back north
+    const REEF = [
+        [143.0, -11.0], [143.9, -13.5], [145.4, -15.0], [146.0, -16.5],
+        [146.6, -18.0], [147.6, -19.0], [149.0, -20.0], [150.0, -21.0],
+        [151.5, -22.5], [152.0, -23.5], [152.2, -24.2], [152.8, -24.0],
+        [152.9, -23.0], [152.5, -21.5], [151.2, -20.0], [149.5, -18.8],
+        [147.5, -17.5], [146.5, -15.8], [145.9, -14.0], [144.6, -12.0],
+        [144.0, -10.5], [143.3, -10.0]
+    ];
+
+    // State borders as open lines
+    const BORDERS = [
+        // Western Australia
+        [[129.0, -14.9], [129.0, -31.7]],
+        // Northern Territory / South Australia
+        [[129.0, -26.0], [141.0, -26.0]],
+        // Northern Territory / Queensland
+        [[138.0, -16.5], [138.0, -26.0]],
+        // South Australia / New South Wales & Victoria
+        [[141.0, -26.0], [141.0, -38.05]],
+        // Queensland / New South Wales
+        [[141.0, -29.0], [148.9, -29.0], [151.0, -28.9], [152.0, -28.5], [153.55, -28.17]],
+        // New South Wales / Victoria (the Murray River)
+        [[141.0, -34.0], [142.5, -34.6], [143.6, -35.3], [144.8, -36.1],
+            [146.5, -36.0], [147.5, -36.0], [148.2, -36.8], [150.0, -37.5]]
+    ];
+
+    const STATE_LABELS = [
+        { name: 'WA', lon: 121.5, lat: -25.5 },
+        { name: 'NT', lon: 133.5, lat: -19.5 },
+        { name: 'SA', lon: 134.5, lat: -29.5 },
+        { name: 'QLD', lon: 144.5, lat: -24.5 },
+        { name: 'NSW', lon: 146.5, lat: -32.0 },
+        { name: 'VIC', lon: 144.0, lat: -37.0 },
+        { name: 'TAS', lon: 146.6, lat: -42.1 }
+    ];
+
+    /**
+     * Project a latitude/longitude into viewBox coordinates
+     * @param {Object} location - { lat, lon }
+     * @returns {Array<number>} [x, y] in the viewBox
+     */
+    function project(location) {
+        return [
+            VIEWBOX.width / 2 + (location.lon - PROJECTION.centerLon) * LON_SCALE,
+            VIEWBOX.height / 2 - (location.lat - PROJECTION.centerLat) * PROJECTION.pixelsPerDegree
+        ];
+    }
+
+    /**
+     * Turn viewBox coordinates back into a latitude/longitude
+     * @param {Array<number>} point - [x, y] in the viewBox
+     * @returns {Object} { lat, lon }
+     */
+    function unproject(point) {
+        return {
+            lon: PROJECTION.centerLon + (point[0] - VIEWBOX.width / 2) / LON_SCALE,
+            lat: PROJECTION.centerLat - (point[1] - VIEWBOX.height / 2) / PROJECTION.pixelsPerDegree
+        };
+    }
+
+    /**
+     * Get an animal's place on the map in viewBox coordinates,
+     * from its real location or its percentage position fallback
+     * @param {Object} animal - Animal data object
+     * @returns {Array<number>|null} [x, y], or null if it has neither
+     */
+    function getAnimalPoint(animal) {
+        if (animal.location) {
+            return project(animal.location);
+        }
+        if (animal.position) {
+            return [
+                animal.position.x / 100 * VIEWBOX.width,
+                animal.position.y / 100 * VIEWBOX.height
+            ];
+        }
+        return null;
+    }
+
+    /**
+     * Get an animal's place on the map as percentages of the map size
+     * @param {Object} animal - Animal data object
+     * @returns {Object} { x, y } percentages
+     */
+    function getAnimalPercent(animal) {
+        const point = getAnimalPoint(animal) || [VIEWBOX.width / 2, VIEWBOX.height / 2];
+        return {
+            x: point[0] / VIEWBOX.width * 100,
+            y: point[1] / VIEWBOX.height * 100
+        };
+    }
+
+    /**
+     * Ray-casting point-in-polygon test
+     * @param {Array<number>} point - [x, y]
+     * @param {Array<Array<number>>} polygon - Polygon points
+     * @returns {boolean} Whether the point is inside
+     */
+    function isPointInPolygon(point, polygon) {
+        const [x, y] = point;
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Find which land mass an animal is on
+     * @param {Object} animal - Animal data object
+     * @returns {string|null} 'mainland', 'tasmania' or null for the sea
+     */
+    function getLandAt(animal) {
+        const point = getAnimalPoint(animal);
+        if (!point) return null;
+
+        const location = unproject(point);
+        const lonLat = [location.lon, location.lat];
+        return Object.keys(LAND).find(name => isPointInPolygon(lonLat, LAND[name])) || null;
+    }
+
+    /**
+     * Check a location is inside the area the map shows
+     * @param {Object} location - { lat, lon }
+     * @returns {boolean}
+     */
+    function isOnMap(location) {
+        const [x, y] = project(location);
+        return x >= 0 && x <= VIEWBOX.width && y >= 0 && y <= VIEWBOX.height;
+    }
+
+    /**
+     * Build SVG path data from [lon, lat] points
+     * @param {Array<Array<number>>} points - Points to join
+     * @param {boolean} closed - Whether to close the shape
+     * @returns {string} SVG path data
+     */
+    function toSvgPath(points, closed) {
+        const commands = points.map(([lon, lat], i) => {
+            const [x, y] = project({ lon, lat });
+            return `${i === 0 ? 'M' : 'L'} ${x.toFixed(1)} ${y.toFixed(1)}`;
+        });
+        return commands.join(' ') + (closed ? ' Z' : '');
+    }
+
+    /**
+     * Get SVG path data for a land mass
+     * @param {string} name - 'mainland' or 'tasmania'
+     * @returns {string} SVG path data
+     */
+    function getLandPath(name) {
+        return toSvgPath(LAND[name], true);
+    }
+
+    /**
+     * Get SVG path data for the Great Barrier Reef
+     * @returns {string} SVG path data
+     */
+    function getReefPath() {
+        return toSvgPath(REEF, true);
+    }
+
+    /**
+     * Get SVG path data for all state borders
+     * @returns {string} SVG path data
+     */
+    function getBorderPath() {
+        return BORDERS.map(line => toSvgPath(line, false)).join(' ');
+    }
+
+    /**
+     * Get state label positions in viewBox coordinates
+     * @returns {Array<Object>} { name, x, y }
+     */
+    function getStateLabels() {
+        return STATE_LABELS.map(label => {
+            const [x, y] = project(label);
+            return { name: label.name, x, y };
+        });
+    }
+
+    // Public API
+    return {
+        VIEWBOX,
+        project,
+        unproject,
+        getAnimalPoint,
+        getAnimalPercent,
+        isPointInPolygon,
+        getLandAt,
+        isOnMap,
+        getLandPath,
+        getReefPath,
+        getBorderPath,
+        getStateLabels
+    };
+})();
+
+// Allow the validation script to use this module from node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geography;
+}
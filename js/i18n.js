@@ -0,0 +1,189 @@
+/* ========================================
+   I18n Module - Languages and UI Strings
+   ======================================== */
+
+/*
+ * UI strings live in a catalogue per language, data/locales/<locale>.json:
+ *
+ *   { "cards.collect": "Collect!", "collection.found": "You found the {name}!" }
+ *
+ * A string can also be { "one": ..., "other": ... }, picked by the
+ * `count` parameter. Missing strings fall back to English, then to the key.
+ *
+ * Static markup names its strings with attributes, filled in by applyTo():
+ *
+ *   <span data-i18n="filters.all">All</span>
+ *   <button data-i18n-attr="aria-label:app.close data-say:app.close">
+ *
+ * Each player picks their language on the settings screen. Animal names,
+ * facts and tips come from the animals' own translations (AnimalData).
+ */
+
+const I18n = (function() {
+    'use strict';
+
+    const SETTING = 'locale';
+    const DEFAULT_LOCALE = 'en';
+
+    // speechLang is the voice Speech asks for first
+    const LOCALES = {
+        en: { label: 'English', speechLang: 'en-AU' },
+        es: { label: 'Español', speechLang: 'es-ES' }
+    };
+
+    const catalogues = {};
+    let locale = DEFAULT_LOCALE;
+
+    /**
+     * Load the English strings (every other language falls back to them)
+     * @returns {Promise}
+     */
+    async function init() {
+        await loadCatalogue(DEFAULT_LOCALE);
+        console.log('I18n module initialized');
+    }
+
+    /**
+     * Fetch a language's strings once
+     * @param {string} code - Locale code, e.g. 'es'
+     * @returns {Promise<boolean>} Whether the strings are available
+     */
+    async function loadCatalogue(code) {
+        if (catalogues[code]) return true;
+
+        try {
+            const response = await fetch(`data/locales/${code}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            catalogues[code] = await response.json();
+            return true;
+        } catch (error) {
+            console.error(`Error loading ${code} strings:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Switch to the active player's language
+     * @returns {Promise<boolean>} Whether that language could be used
+     */
+    function reload() {
+        return setLocale(SaveData.getSetting(SETTING, DEFAULT_LOCALE));
+    }
+
+    /**
+     * Switch language and relabel the page, using the default language
+     * if the one asked for is unknown or its strings fail to load
+     * @param {string} code - Locale code
+     * @returns {Promise<boolean>} Whether the language asked for is now in use
+     */
+    async function setLocale(code) {
+        const found = Object.prototype.hasOwnProperty.call(LOCALES, code) && await loadCatalogue(code);
+        if (!found) {
+            code = DEFAULT_LOCALE;
+        }
+
+        locale = code;
+        document.documentElement.lang = code;
+        AnimalData.setLocale(code);
+        applyTo(document);
+        return found;
+    }
+
+    /**
+     * Look up a string
+     * @param {string} key - Catalogue key
+     * @param {Object} [params] - Values for {placeholders}; `count` also picks a plural
+     * @returns {string}
+     */
+    function t(key, params = {}) {
+        let value = lookup(locale, key);
+        if (value === undefined) value = lookup(DEFAULT_LOCALE, key);
+        if (value === undefined) {
+            console.warn(`Missing string: ${key}`);
+            return key;
+        }
+
+        if (typeof value === 'object') {
+            const form = new Intl.PluralRules(locale).select(params.count);
+            value = value[form] !== undefined ? value[form] : value.other;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    /**
+     * Find a string in one catalogue
+     * @param {string} code - Locale code
+     * @param {string} key - Catalogue key
+     * @returns {string|Object|undefined}
+     */
+    function lookup(code, key) {
+        const catalogue = catalogues[code];
+        return catalogue && Object.prototype.hasOwnProperty.call(catalogue, key) ? catalogue[key] : undefined;
+    }
+
+    /**
+     * Fill in every data-i18n and data-i18n-attr element
+     * @param {Document|HTMLElement} root - Where to look
+     */
+    function applyTo(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(/\s+/).filter(Boolean).forEach(pair => {
+                const [attr, key] = pair.split(':');
+                el.setAttribute(attr, t(key));
+            });
+        });
+    }
+
+    /**
+     * Join words into a list, e.g. "sea creatures and dinosaurs"
+     * @param {Array<string>} words - Words to join
+     * @returns {string}
+     */
+    function formatList(words) {
+        return new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(words);
+    }
+
+    /**
+     * @returns {string} Active locale code
+     */
+    function getLocale() {
+        return locale;
+    }
+
+    /**
+     * @returns {Array<{code: string, label: string}>} Languages the game speaks
+     */
+    function getLocales() {
+        return Object.keys(LOCALES).map(code => ({ code, label: LOCALES[code].label }));
+    }
+
+    /**
+     * @param {string} [code] - Locale code (default: the active locale)
+     * @returns {string} Voice language for the locale, e.g. 'en-AU'
+     */
+    function getSpeechLang(code = locale) {
+        return (LOCALES[code] || LOCALES[locale]).speechLang;
+    }
+
+    // Public API
+    return {
+        DEFAULT_LOCALE,
+        init,
+        reload,
+        setLocale,
+        t,
+        applyTo,
+        formatList,
+        getLocale,
+        getLocales,
+        getSpeechLang
+    };
+})();
@@ -5,41 +5,67 @@
 const GameMap = (function() {
     'use strict';
 
+    const MIN_ZOOM = 1;
+    const MAX_ZOOM = 6;
+    const ZOOM_STEP = 1.5;
+    const FLY_TO_ZOOM = 3;
+    const FLY_DURATION_MS = 400;
+    const WHEEL_SENSITIVITY = 0.002;
+    const DRAG_THRESHOLD_PX = 6;
+
+    // Markers closer than this fraction of a marker's width are grouped
+    const CLUSTER_OVERLAP = 0.9;
+    const FAN_SPACING = 1.2;
+
+    // How long a marker coming out of the fog pops for
+    const REVEAL_MS = 700;
+
     let mapContainer = null;
     let markers = [];
 
-    // Australia SVG path (simplified outline)
+    // Current view: zoom level, and pan as a fraction of the map size
+    let view = { zoom: 1, x: 0, y: 0 };
+    let flyTimer = null;
+
+    // Pointers currently touching the map, and the drag/pinch they make
+    const pointers = new Map();
+    let gesture = null;
+    let suppressClick = false;
+
+    // Groups of overlapping markers: { members, x, y, spacing, element }
+    let clusters = [];
+    let fannedCluster = null;
+    let clusterZoom = null;
+
+    // The one marker or cluster in the tab order (roving tabindex)
+    let tabStop = null;
+
+    const ARROW_DIRECTIONS = {
+        ArrowLeft: { x: -1, y: 0 },
+        ArrowRight: { x: 1, y: 0 },
+        ArrowUp: { x: 0, y: -1 },
+        ArrowDown: { x: 0, y: 1 }
+    };
+
+    // Australia SVG, drawn from the real outline projected by Geography
     const AUSTRALIA_SVG = `
-        <svg viewBox="0 0 800 600" xmlns="http://www.w3.org/2000/svg">
+        <svg viewBox="0 0 ${Geography.VIEWBOX.width} ${Geography.VIEWBOX.height}" xmlns="http://www.w3.org/2000/svg">
             <!-- Ocean background -->
-            <rect class="ocean" width="800" height="600" fill="var(--color-ocean)"/>
+            <rect class="ocean" width="${Geography.VIEWBOX.width}" height="${Geography.VIEWBOX.height}" fill="var(--color-ocean)"/>
+
+            <!-- Great Barrier Reef -->
+            <path class="reef" d="${Geography.getReefPath()}"/>
 
             <!-- Australia mainland -->
-            <path class="land" d="
-                M 180 200
-                C 200 180, 250 160, 320 150
-                C 380 145, 440 140, 500 145
-                C 560 150, 620 160, 660 180
-                C 700 200, 720 240, 730 280
-                C 740 320, 735 360, 720 400
-                C 700 450, 660 480, 600 500
-                C 540 520, 480 530, 420 525
-                C 360 520, 300 510, 250 490
-                C 200 470, 160 440, 140 400
-                C 120 360, 110 320, 120 280
-                C 130 240, 150 210, 180 200
-                Z
-            "/>
+            <path class="land" d="${Geography.getLandPath('mainland')}"/>
 
             <!-- Tasmania -->
-            <path class="land" d="
-                M 580 520
-                C 600 510, 630 515, 640 530
-                C 650 545, 645 565, 630 575
-                C 615 585, 590 580, 580 565
-                C 570 550, 570 530, 580 520
-                Z
-            "/>
+            <path class="land" d="${Geography.getLandPath('tasmania')}"/>
+
+            <!-- State borders and names -->
+            <path class="state-border" d="${Geography.getBorderPath()}"/>
+            ${Geography.getStateLabels().map(label => `
+            <text class="state-label" x="${label.x.toFixed(1)}" y="${label.y.toFixed(1)}" text-anchor="middle">${label.name}</text>`).join('')}
 
             <!-- Compass rose decoration -->
             <g class="compass" transform="translate(720, 80)">
@@ -51,6 +77,14 @@ const GameMap = (function() {
         </svg>
     `;
 
+    const ZOOM_CONTROLS = `
+        <div class="map-zoom">
+            <button class="map-zoom__btn" data-zoom="in" data-i18n-attr="aria-label:map.zoomIn">+</button>
+            <button class="map-zoom__btn" data-zoom="out" data-i18n-attr="aria-label:map.zoomOut">&minus;</button>
+            <button class="map-zoom__btn" data-zoom="reset" data-i18n-attr="aria-label:map.zoomReset">🌏</button>
+        </div>
+    `;
+
     /**
      * Initialize the map
      * @param {string} containerId - ID of the map container element
@@ -63,10 +97,298 @@ const GameMap = (function() {
         }
 
         // Insert Australia SVG
-        mapContainer.innerHTML = AUSTRALIA_SVG;
+        mapContainer.innerHTML = AUSTRALIA_SVG + ZOOM_CONTROLS;
+        I18n.applyTo(mapContainer);
+        mapContainer.setAttribute('role', 'group');
+        mapContainer.setAttribute('aria-label', I18n.t('map.label'));
+        mapContainer.setAttribute('aria-describedby', 'map-help');
+
+        setupZoomControls();
+        setupPanAndZoom();
+        applyView();
+
+        // Tapping the map closes an opened cluster
+        mapContainer.addEventListener('click', event => {
+            if (!event.target.closest('.marker, .marker-cluster, .map-zoom')) {
+                closeFan();
+            }
+        });
+
+        mapContainer.addEventListener('keydown', handleKeydown);
+        mapContainer.addEventListener('focusin', event => {
+            if (isNavigable(event.target)) setTabStop(event.target);
+        });
+
+        // Marker sizes and spacing change with the map size
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => updateClusters()).observe(mapContainer);
+        } else {
+            window.addEventListener('resize', updateClusters);
+        }
+
         console.log('Map initialized');
     }
 
+    /**
+     * Setup the zoom in/out/reset buttons
+     */
+    function setupZoomControls() {
+        mapContainer.querySelectorAll('.map-zoom__btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.zoom;
+                if (action === 'reset') {
+                    resetView();
+                } else {
+                    zoomBy(action === 'in' ? ZOOM_STEP : 1 / ZOOM_STEP);
+                }
+            });
+        });
+    }
+
+    /**
+     * Setup mouse wheel zoom, drag to pan and pinch to zoom
+     */
+    function setupPanAndZoom() {
+        mapContainer.addEventListener('wheel', handleWheel, { passive: false });
+        mapContainer.addEventListener('pointerdown', handlePointerDown);
+        mapContainer.addEventListener('pointermove', handlePointerMove);
+        mapContainer.addEventListener('pointerup', handlePointerEnd);
+        mapContainer.addEventListener('pointercancel', handlePointerEnd);
+
+        // A drag that ends on a marker shouldn't open its card
+        mapContainer.addEventListener('click', event => {
+            if (suppressClick) {
+                event.stopPropagation();
+                event.preventDefault();
+                suppressClick = false;
+            }
+        }, true);
+    }
+
+    /**
+     * Zoom towards the mouse with the wheel
+     * @param {WheelEvent} event - Wheel event
+     */
+    function handleWheel(event) {
+        event.preventDefault();
+        const factor = Math.exp(-event.deltaY * WHEEL_SENSITIVITY);
+        zoomAt(toMapFraction(event.clientX, event.clientY), view.zoom * factor);
+    }
+
+    /**
+     * Start tracking a finger or mouse button
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (event.target.closest('.map-zoom')) return;
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        startGesture();
+    }
+
+    /**
+     * Pan with one pointer, pan and zoom with two
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerMove(event) {
+        if (!gesture || !pointers.has(event.pointerId)) return;
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const points = [...pointers.values()];
+        const center = getCenter(points);
+
+        if (!gesture.moved) {
+            const travelled = Math.hypot(center.x - gesture.center.x, center.y - gesture.center.y);
+            if (pointers.size === 1 && travelled < DRAG_THRESHOLD_PX) return;
+
+            gesture.moved = true;
+            mapContainer.classList.add('australia-map--dragging');
+            pointers.forEach((point, id) => mapContainer.setPointerCapture(id));
+        }
+
+        const zoom = pointers.size > 1 && gesture.distance > 0
+            ? gesture.view.zoom * getDistance(points) / gesture.distance
+            : gesture.view.zoom;
+
+        // Keep the map point that was under the fingers under the fingers
+        const start = toMapFraction(gesture.center.x, gesture.center.y);
+        const now = toMapFraction(center.x, center.y);
+        const anchorX = (start.x - gesture.view.x) / gesture.view.zoom;
+        const anchorY = (start.y - gesture.view.y) / gesture.view.zoom;
+        const clampedZoom = clampZoom(zoom);
+        setView(clampedZoom, now.x - anchorX * clampedZoom, now.y - anchorY * clampedZoom);
+    }
+
+    /**
+     * Stop tracking a finger or mouse button
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerEnd(event) {
+        if (!pointers.delete(event.pointerId)) return;
+
+        if (pointers.size > 0) {
+            // Carry on with the fingers that are left
+            startGesture();
+            return;
+        }
+
+        if (gesture && gesture.moved) {
+            suppressClick = true;
+            // The click (if any) fires straight after pointerup
+            setTimeout(() => { suppressClick = false; }, 0);
+        }
+        gesture = null;
+        mapContainer.classList.remove('australia-map--dragging');
+    }
+
+    /**
+     * Remember where a gesture started
+     */
+    function startGesture() {
+        const points = [...pointers.values()];
+        gesture = {
+            view: { ...view },
+            center: getCenter(points),
+            distance: points.length > 1 ? getDistance(points) : 0,
+            moved: gesture ? gesture.moved : false
+        };
+    }
+
+    /**
+     * @param {Array<Object>} points - Pointer positions { x, y }
+     * @returns {Object} Midpoint { x, y }
+     */
+    function getCenter(points) {
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+    }
+
+    /**
+     * @param {Array<Object>} points - Pointer positions { x, y }
+     * @returns {number} Distance between the first two pointers
+     */
+    function getDistance(points) {
+        return Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+    }
+
+    /**
+     * Convert a screen position to a fraction of the map container
+     * @param {number} clientX - Screen X
+     * @param {number} clientY - Screen Y
+     * @returns {Object} { x, y } from 0 to 1
+     */
+    function toMapFraction(clientX, clientY) {
+        const rect = mapContainer.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) / rect.width,
+            y: (clientY - rect.top) / rect.height
+        };
+    }
+
+    /**
+     * @param {number} zoom - Wanted zoom level
+     * @returns {number} Zoom level within the allowed range
+     */
+    function clampZoom(zoom) {
+        return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    }
+
+    /**
+     * Zoom while keeping one point of the map still
+     * @param {Object} point - { x, y } fraction of the container to zoom around
+     * @param {number} zoom - New zoom level
+     */
+    function zoomAt(point, zoom) {
+        const newZoom = clampZoom(zoom);
+        const scale = newZoom / view.zoom;
+        setView(newZoom, point.x - (point.x - view.x) * scale, point.y - (point.y - view.y) * scale);
+    }
+
+    /**
+     * Zoom in or out around the middle of the map
+     * @param {number} factor - Amount to multiply the zoom by
+     */
+    function zoomBy(factor) {
+        animate();
+        zoomAt({ x: 0.5, y: 0.5 }, view.zoom * factor);
+    }
+
+    /**
+     * Zoom back out to the whole map
+     */
+    function resetView() {
+        animate();
+        setView(MIN_ZOOM, 0, 0);
+    }
+
+    /**
+     * Zoom in and centre the map on an animal
+     * @param {string} animalId - Animal ID
+     */
+    function flyTo(animalId) {
+        const marker = markers.find(m => m.dataset.animalId === animalId);
+        if (!marker) return;
+
+        const zoom = Math.max(view.zoom, FLY_TO_ZOOM);
+        const x = Number(marker.dataset.x) / 100;
+        const y = Number(marker.dataset.y) / 100;
+
+        animate();
+        setView(zoom, 0.5 - x * zoom, 0.5 - y * zoom);
+
+        // Still too crowded to see at this zoom - open its cluster
+        const cluster = clusters.find(c => c.members.includes(marker));
+        if (cluster) fanOut(cluster);
+    }
+
+    /**
+     * Set the view, keeping the map filling its container
+     * @param {number} zoom - Zoom level
+     * @param {number} x - Pan as a fraction of the map width
+     * @param {number} y - Pan as a fraction of the map height
+     */
+    function setView(zoom, x, y) {
+        const newZoom = clampZoom(zoom);
+        view = {
+            zoom: newZoom,
+            x: Math.min(0, Math.max(1 - newZoom, x)),
+            y: Math.min(0, Math.max(1 - newZoom, y))
+        };
+        applyView();
+    }
+
+    /**
+     * Move the map and markers to match the view
+     */
+    function applyView() {
+        mapContainer.style.setProperty('--map-zoom', view.zoom);
+        mapContainer.style.setProperty('--map-x', `${view.x * 100}%`);
+        mapContainer.style.setProperty('--map-y', `${view.y * 100}%`);
+        mapContainer.classList.toggle('australia-map--zoomed', view.zoom > MIN_ZOOM);
+
+        mapContainer.querySelectorAll('.map-zoom__btn').forEach(button => {
+            const action = button.dataset.zoom;
+            button.disabled = action === 'in' ? view.zoom >= MAX_ZOOM : view.zoom <= MIN_ZOOM;
+        });
+
+        // Panning doesn't change which markers overlap, zooming does
+        if (view.zoom !== clusterZoom) {
+            updateClusters();
+        }
+    }
+
+    /**
+     * Smoothly animate the next view change
+     */
+    function animate() {
+        mapContainer.classList.add('australia-map--flying');
+        clearTimeout(flyTimer);
+        flyTimer = setTimeout(() => mapContainer.classList.remove('australia-map--flying'), FLY_DURATION_MS);
+    }
+
     /**
      * Place animal markers on the map
      * @param {Array} animals - Array of animal objects
@@ -83,6 +405,8 @@ const GameMap = (function() {
             markers.push(marker);
         });
 
+        updateClusters();
+
         console.log(`Placed ${markers.length} markers`);
     }
 
@@ -97,11 +421,17 @@ const GameMap = (function() {
         marker.className = `marker marker--${animal.rarity}`;
         marker.dataset.animalId = animal.id;
         marker.dataset.category = animal.category;  // Store category for filtering
-        marker.setAttribute('aria-label', `Discover ${animal.name}`);
+        marker.dataset.name = animal.name;
+        marker.tabIndex = -1;
+        setMarkerLabel(marker, false);
 
-        // Position based on animal's coordinates (percentage-based)
-        marker.style.left = `${animal.position.x}%`;
-        marker.style.top = `${animal.position.y}%`;
+        // Position from the animal's latitude/longitude (or its percentage fallback)
+        // Markers sit outside the zoomed SVG so they keep the same tap size;
+        // the view's pan and zoom are applied to their position instead
+        const position = Geography.getAnimalPercent(animal);
+        marker.dataset.x = position.x;
+        marker.dataset.y = position.y;
+        setMapPosition(marker, position.x, position.y);
 
         // Marker icon (emoji based on type)
         const icon = document.createElement('span');
@@ -114,7 +444,7 @@ const GameMap = (function() {
             const badge = document.createElement('span');
             badge.className = 'marker__speech-badge';
             badge.textContent = animal.speechPractice.targetSound.toUpperCase();
-            badge.title = 'Practice this sound!';
+            badge.title = I18n.t('map.practiceBadge');
             marker.appendChild(badge);
         }
 
@@ -140,6 +470,7 @@ const GameMap = (function() {
             'shark': '🦈',
             'snake': '🐍',
             'spider': '🕷️',
+            'funnel-web': '🕷️',
             'jellyfish': '🎐',
             'octopus': '🐙',
             'kangaroo': '🦘',
@@ -152,10 +483,10 @@ const GameMap = (function() {
             'marine': '🐋'
         };
 
-        // Try to match by animal type/name
-        const name = animal.name.toLowerCase();
+        // Try to match by animal type (IDs stay English in every language)
+        const id = animal.id.toLowerCase();
         for (const [key, emoji] of Object.entries(emojiMap)) {
-            if (name.includes(key)) return emoji;
+            if (id.includes(key)) return emoji;
         }
 
         // Default based on category
@@ -176,6 +507,7 @@ const GameMap = (function() {
         if (marker) {
             marker.classList.toggle('marker--collected', collected);
             marker.classList.toggle('marker--undiscovered', !collected);
+            setMarkerLabel(marker, collected);
         }
     }
 
@@ -187,12 +519,49 @@ const GameMap = (function() {
         markers.forEach(marker => {
             const isCollected = collectedIds.includes(marker.dataset.animalId);
             marker.classList.toggle('marker--collected', isCollected);
+            marker.classList.toggle('marker--undiscovered', !isCollected);
+            setMarkerLabel(marker, isCollected);
         });
     }
 
+    /**
+     * Describe a marker for screen readers
+     * @param {HTMLElement} marker - Marker element
+     * @param {boolean} collected - Whether the animal is collected
+     */
+    function setMarkerLabel(marker, collected) {
+        const name = marker.dataset.name;
+        marker.setAttribute('aria-label', I18n.t(collected ? 'map.markerCollected' : 'map.markerUndiscovered', { name }));
+    }
+
+    /**
+     * Relabel the map in the player's language
+     */
+    function refreshText() {
+        if (!mapContainer) return;
+
+        mapContainer.setAttribute('aria-label', I18n.t('map.label'));
+
+        markers.forEach(marker => {
+            const animal = AnimalData.getById(marker.dataset.animalId);
+            if (animal) {
+                marker.dataset.name = animal.name;
+            }
+            setMarkerLabel(marker, marker.classList.contains('marker--collected'));
+
+            const badge = marker.querySelector('.marker__speech-badge');
+            if (badge) {
+                badge.title = I18n.t('map.practiceBadge');
+            }
+        });
+
+        clusters.forEach(setClusterLabel);
+    }
+
     /**
      * Filter markers by category
      * @param {string} filter - Filter type: 'all', 'deadly', or 'dinosaur'
+     * @returns {number} How many markers are now showing
      */
     function filterMarkers(filter) {
         markers.forEach(marker => {
@@ -203,7 +572,403 @@ const GameMap = (function() {
                 marker.style.display = category === filter ? '' : 'none';
             }
         });
+        updateClusters();
         console.log(`Filtered markers: ${filter}`);
+
+        return markers.filter(marker => marker.style.display !== 'none').length;
+    }
+
+    /**
+     * Hide markers that are still under the fog
+     * @param {Array<string>} animalIds - Animals to hide; every other marker is shown
+     * @param {boolean} [animateReveal=false] - Pop the markers that come out of hiding
+     * @returns {Array<string>} IDs of the animals that were hidden and now aren't
+     */
+    function setHiddenMarkers(animalIds, animateReveal = false) {
+        const uncovered = [];
+
+        markers.forEach(marker => {
+            const hidden = animalIds.includes(marker.dataset.animalId);
+            if (!hidden && marker.classList.contains('marker--hidden')) {
+                uncovered.push(marker.dataset.animalId);
+                if (animateReveal) {
+                    marker.classList.add('marker--revealed');
+                    setTimeout(() => marker.classList.remove('marker--revealed'), REVEAL_MS);
+                }
+            }
+            marker.classList.toggle('marker--hidden', hidden);
+        });
+
+        updateClusters();
+        return uncovered;
+    }
+
+    /**
+     * Check a marker is on show - not filtered out or hidden by the fog
+     * @param {HTMLElement} marker - Marker element
+     * @returns {boolean}
+     */
+    function isShown(marker) {
+        return marker.style.display !== 'none' && !marker.classList.contains('marker--hidden');
+    }
+
+    /**
+     * Find the map position under a point on the screen
+     * @param {number} clientX - Screen X
+     * @param {number} clientY - Screen Y
+     * @returns {Object} { x, y } percentage across and down the whole map
+     */
+    function toMapPoint(clientX, clientY) {
+        const point = toMapFraction(clientX, clientY);
+        return {
+            x: (point.x - view.x) / view.zoom * 100,
+            y: (point.y - view.y) / view.zoom * 100
+        };
+    }
+
+    /**
+     * @returns {number} Current zoom level
+     */
+    function getZoom() {
+        return view.zoom;
+    }
+
+    /**
+     * Place an element at a map position, following the view's pan and zoom
+     * @param {HTMLElement} element - Marker or cluster element
+     * @param {number} x - Percentage across the map
+     * @param {number} y - Percentage down the map
+     * @param {number} offsetX - Extra screen pixels across
+     * @param {number} offsetY - Extra screen pixels down
+     */
+    function setMapPosition(element, x, y, offsetX = 0, offsetY = 0) {
+        element.style.left = `calc(var(--map-x) + ${x}% * var(--map-zoom) + ${offsetX}px)`;
+        element.style.top = `calc(var(--map-y) + ${y}% * var(--map-zoom) + ${offsetY}px)`;
+    }
+
+    /**
+     * Group visible markers that overlap at the current zoom into cluster bubbles
+     */
+    function updateClusters() {
+        if (!mapContainer) return;
+
+        clusters.forEach(cluster => cluster.element.remove());
+        clusters = [];
+        fannedCluster = null;
+        clusterZoom = view.zoom;
+
+        markers.forEach(marker => {
+            marker.classList.remove('marker--clustered', 'marker--fanned');
+            setMapPosition(marker, Number(marker.dataset.x), Number(marker.dataset.y));
+        });
+
+        const visible = markers.filter(isShown);
+        const rect = mapContainer.getBoundingClientRect();
+        if (visible.length < 2 || rect.width === 0) {
+            updateTabStops();
+            return;
+        }
+
+        const spacing = visible[0].offsetWidth * CLUSTER_OVERLAP;
+        groupNearby(visible, rect, spacing)
+            .filter(group => group.length > 1)
+            .forEach(group => clusters.push(createCluster(group, spacing)));
+
+        updateTabStops();
+    }
+
+    /**
+     * Split markers into groups that overlap on screen
+     * @param {Array<HTMLElement>} list - Visible markers
+     * @param {DOMRect} rect - Map container size
+     * @param {number} spacing - Closest two markers can be, in pixels
+     * @returns {Array<Array<HTMLElement>>} Groups of markers
+     */
+    function groupNearby(list, rect, spacing) {
+        const parent = list.map((marker, i) => i);
+        const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                if (getScreenDistance(list[i], list[j], rect) < spacing) {
+                    parent[find(i)] = find(j);
+                }
+            }
+        }
+
+        const groups = new Map();
+        list.forEach((marker, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(marker);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * @param {HTMLElement} a - Marker
+     * @param {HTMLElement} b - Marker
+     * @param {DOMRect} rect - Map container size
+     * @returns {number} Distance between them on screen, in pixels
+     */
+    function getScreenDistance(a, b, rect) {
+        const dx = (a.dataset.x - b.dataset.x) / 100 * rect.width * view.zoom;
+        const dy = (a.dataset.y - b.dataset.y) / 100 * rect.height * view.zoom;
+        return Math.hypot(dx, dy);
+    }
+
+    /**
+     * Hide a group of markers behind a bubble showing how many there are
+     * @param {Array<HTMLElement>} members - Markers in the group
+     * @param {number} spacing - Closest two markers can be, in pixels
+     * @returns {Object} Cluster
+     */
+    function createCluster(members, spacing) {
+        const cluster = {
+            members,
+            spacing,
+            x: members.reduce((sum, m) => sum + Number(m.dataset.x), 0) / members.length,
+            y: members.reduce((sum, m) => sum + Number(m.dataset.y), 0) / members.length,
+            element: document.createElement('button')
+        };
+
+        const bubble = cluster.element;
+        bubble.className = 'marker-cluster';
+        bubble.tabIndex = -1;
+        bubble.dataset.x = cluster.x;
+        bubble.dataset.y = cluster.y;
+        setClusterLabel(cluster);
+        bubble.innerHTML = `<span class="marker-cluster__count">${members.length}</span>`;
+        setMapPosition(bubble, cluster.x, cluster.y);
+        bubble.addEventListener('click', () => openCluster(cluster));
+
+        members.forEach(marker => marker.classList.add('marker--clustered'));
+        mapContainer.appendChild(bubble);
+
+        return cluster;
+    }
+
+    /**
+     * Describe a cluster bubble for screen readers
+     * @param {Object} cluster - Cluster
+     */
+    function setClusterLabel(cluster) {
+        const names = cluster.members.map(m => m.dataset.name);
+        cluster.element.setAttribute('aria-label',
+            I18n.t('map.cluster', { count: names.length, names: names.join(', ') }));
+    }
+
+    /**
+     * Zoom in far enough to separate a cluster, or fan it out if we can't
+     * @param {Object} cluster - Cluster that was tapped
+     */
+    function openCluster(cluster) {
+        const rect = mapContainer.getBoundingClientRect();
+        let closest = Infinity;
+        cluster.members.forEach((a, i) => {
+            cluster.members.slice(i + 1).forEach(b => {
+                closest = Math.min(closest, getScreenDistance(a, b, rect));
+            });
+        });
+
+        const neededZoom = view.zoom * cluster.spacing * FAN_SPACING / closest;
+        if (closest > 0 && neededZoom <= MAX_ZOOM) {
+            animate();
+            setView(neededZoom, 0.5 - cluster.x / 100 * neededZoom, 0.5 - cluster.y / 100 * neededZoom);
+        } else {
+            fanOut(cluster);
+        }
+    }
+
+    /**
+     * Spread a cluster's markers in a ring around it
+     * @param {Object} cluster - Cluster to open
+     */
+    function fanOut(cluster) {
+        closeFan();
+        fannedCluster = cluster;
+        cluster.element.hidden = true;
+
+        const count = cluster.members.length;
+        const radius = Math.max(cluster.spacing, count * cluster.spacing * FAN_SPACING / (2 * Math.PI));
+
+        cluster.members.forEach((marker, i) => {
+            const angle = -Math.PI / 2 + i * 2 * Math.PI / count;
+            marker.classList.remove('marker--clustered');
+            marker.classList.add('marker--fanned');
+            setMapPosition(marker, cluster.x, cluster.y, radius * Math.cos(angle), radius * Math.sin(angle));
+        });
+
+        updateTabStops();
+        focusItem(cluster.members[0]);
+    }
+
+    /**
+     * Fold an opened cluster back into its bubble
+     */
+    function closeFan() {
+        if (!fannedCluster) return;
+
+        const cluster = fannedCluster;
+        const hadFocus = cluster.members.includes(document.activeElement);
+
+        fannedCluster.members.forEach(marker => {
+            marker.classList.remove('marker--fanned');
+            marker.classList.add('marker--clustered');
+            setMapPosition(marker, Number(marker.dataset.x), Number(marker.dataset.y));
+        });
+        cluster.element.hidden = false;
+        fannedCluster = null;
+
+        updateTabStops();
+        if (hadFocus) focusItem(cluster.element);
+    }
+
+    /**
+     * Check an element is a marker or cluster the keyboard can reach
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    function isNavigable(element) {
+        if (element.classList.contains('marker-cluster')) {
+            return !element.hidden;
+        }
+        return element.classList.contains('marker') &&
+            isShown(element) &&
+            !element.classList.contains('marker--clustered');
+    }
+
+    /**
+     * Get every marker and cluster the keyboard can reach
+     * @returns {Array<HTMLElement>}
+     */
+    function getNavigableItems() {
+        return [...markers, ...clusters.map(cluster => cluster.element)].filter(isNavigable);
+    }
+
+    /**
+     * Keep exactly one reachable marker in the tab order
+     */
+    function updateTabStops() {
+        const items = getNavigableItems();
+
+        if (!tabStop || !items.includes(tabStop)) {
+            // Start from the top-left of the map
+            tabStop = items.reduce((best, item) => {
+                const score = Number(item.dataset.x) + Number(item.dataset.y);
+                return !best || score < Number(best.dataset.x) + Number(best.dataset.y) ? item : best;
+            }, null);
+        }
+
+        setTabStop(tabStop);
+    }
+
+    /**
+     * Make one marker or cluster the tab stop
+     * @param {HTMLElement|null} item - New tab stop
+     */
+    function setTabStop(item) {
+        tabStop = item;
+        markers.forEach(marker => { marker.tabIndex = marker === item ? 0 : -1; });
+        clusters.forEach(cluster => { cluster.element.tabIndex = cluster.element === item ? 0 : -1; });
+    }
+
+    /**
+     * Arrow keys move between markers by where they are on the map
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleKeydown(event) {
+        const current = event.target;
+        if (!isNavigable(current)) return;
+
+        if (event.key === 'Escape' && fannedCluster && fannedCluster.members.includes(current)) {
+            event.stopPropagation();
+            closeFan();
+            return;
+        }
+
+        const direction = ARROW_DIRECTIONS[event.key];
+        if (!direction) return;
+
+        event.preventDefault();
+        const next = findNeighbour(current, direction);
+        if (next) focusItem(next);
+    }
+
+    /**
+     * Find the closest marker or cluster in a direction
+     * @param {HTMLElement} from - Currently focused item
+     * @param {Object} direction - { x, y } unit direction
+     * @returns {HTMLElement|null} Closest item that way
+     */
+    function findNeighbour(from, direction) {
+        const origin = getScreenCenter(from);
+        let best = null;
+        let bestScore = Infinity;
+
+        getNavigableItems().forEach(item => {
+            if (item === from) return;
+
+            const point = getScreenCenter(item);
+            const dx = point.x - origin.x;
+            const dy = point.y - origin.y;
+            const along = dx * direction.x + dy * direction.y;
+            const across = Math.abs(dx * direction.y - dy * direction.x);
+            if (along <= 0) return;
+
+            // Prefer items straight ahead over ones off to the side
+            const score = along + across * 2;
+            if (score < bestScore) {
+                best = item;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * @param {HTMLElement} element - Marker or cluster
+     * @returns {Object} Centre of the element on screen { x, y }
+     */
+    function getScreenCenter(element) {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    /**
+     * Focus a marker or cluster, panning the map to it if it's out of view
+     * @param {HTMLElement} item - Marker or cluster
+     */
+    function focusItem(item) {
+        setTabStop(item);
+        item.focus({ preventScroll: true });
+
+        const itemCenter = getScreenCenter(item);
+        const rect = mapContainer.getBoundingClientRect();
+        const inView = itemCenter.x >= rect.left && itemCenter.x <= rect.right &&
+            itemCenter.y >= rect.top && itemCenter.y <= rect.bottom;
+
+        if (!inView) {
+            animate();
+            setView(
+                view.zoom,
+                view.x - (itemCenter.x - rect.left - rect.width / 2) / rect.width,
+                view.y - (itemCenter.y - rect.top - rect.height / 2) / rect.height
+            );
+        }
+    }
+
+    /**
+     * Move keyboard focus to an animal's marker, or the cluster hiding it
+     * @param {string} animalId - Animal ID
+     */
+    function focusMarker(animalId) {
+        const marker = markers.find(m => m.dataset.animalId === animalId);
+        if (!marker) return;
+
+        const cluster = clusters.find(c => c.members.includes(marker));
+        focusItem(isNavigable(marker) || !cluster ? marker : cluster.element);
     }
 
     // Public API
@@ -212,6 +977,14 @@ const GameMap = (function() {
         placeMarkers,
         updateMarkerState,
         updateAllMarkerStates,
-        filterMarkers
+        refreshText,
+        filterMarkers,
+        setHiddenMarkers,
+        toMapPoint,
+        getZoom,
+        zoomBy,
+        resetView,
+        flyTo,
+        focusMarker
     };
 })();
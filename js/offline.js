@@ -0,0 +1,114 @@
+/* ========================================
+   Offline Module - Service Worker and Updates
+   ======================================== */
+
+/*
+ * Registers sw.js so the game keeps working with no signal. When a new
+ * version has downloaded, a banner asks before switching to it - a
+ * child halfway through a card shouldn't have the page reload under them.
+ */
+
+const Offline = (function() {
+    'use strict';
+
+    const WORKER_URL = 'sw.js';
+
+    let waitingWorker = null;
+    let reloading = false;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the offline module
+     */
+    function init() {
+        elements.prompt = document.getElementById('update-prompt');
+        elements.btnUpdate = document.getElementById('btn-update');
+        elements.btnLater = document.getElementById('btn-update-later');
+
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            console.log('Offline play not available here');
+            return;
+        }
+
+        if (elements.prompt) {
+            elements.btnUpdate.addEventListener('click', applyUpdate);
+            elements.btnLater.addEventListener('click', hidePrompt);
+        }
+
+        // The new version has taken over - load it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            location.reload();
+        });
+
+        navigator.serviceWorker.register(WORKER_URL)
+            .then(watchForUpdates)
+            .catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+
+        console.log('Offline module initialized');
+    }
+
+    /**
+     * Show the update prompt whenever a new version is ready
+     * @param {ServiceWorkerRegistration} registration - Our registration
+     */
+    function watchForUpdates(registration) {
+        // Downloaded on an earlier visit but never switched to
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showPrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // With no controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showPrompt(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Offer to switch to a new version
+     * @param {ServiceWorker} worker - Installed worker waiting to take over
+     */
+    function showPrompt(worker) {
+        waitingWorker = worker;
+        if (!elements.prompt) return;
+
+        elements.prompt.hidden = false;
+        A11y.announce(I18n.t('offline.ready'));
+    }
+
+    /**
+     * Hide the update prompt until the next visit
+     */
+    function hidePrompt() {
+        if (elements.prompt) {
+            elements.prompt.hidden = true;
+        }
+    }
+
+    /**
+     * Switch to the new version (the page reloads on controllerchange)
+     */
+    function applyUpdate() {
+        if (!waitingWorker) return;
+
+        hidePrompt();
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
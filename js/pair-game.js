@@ -0,0 +1,413 @@
+/* ========================================
+   Pair Game Module - Minimal-Pair Listening
+   ======================================== */
+
+/*
+ * A listening game for children who say T for K or D for G. The game
+ * says one word of a minimal pair ("key" or "tea") and the child taps
+ * the matching picture. Word pairs live in data/minimal-pairs.json:
+ *
+ *   { pairs: [{ id: 'k-t', target: 'k', contrast: 't', label: 'K or T',
+ *               items: [{ level: 1, target: { word, picture }, contrast: { word, picture } }] }] }
+ *
+ * Scores are kept per sound pair in the save's `listening` section.
+ * The level goes up when most recent answers are right (harder words,
+ * more pictures, faster voice) and back down if it gets too hard.
+ */
+
+const PairGame = (function() {
+    'use strict';
+
+    const DATA_URL = 'data/minimal-pairs.json';
+
+    const LEVELS = {
+        1: { choices: 2, rate: 0.7 },
+        2: { choices: 2, rate: 0.85 },
+        3: { choices: 4, rate: 1.0 }
+    };
+    const MAX_LEVEL = 3;
+
+    // Level changes look at this many recent answers
+    const RECENT_WINDOW = 8;
+    const LEVEL_UP_ACCURACY = 0.85;
+    const LEVEL_DOWN_ACCURACY = 0.5;
+
+    // How often to pick a word from the current level rather than an easier one
+    const CURRENT_LEVEL_CHANCE = 0.6;
+    const NEXT_ROUND_DELAY = 700;
+
+    // The word pairs are English sounds, whatever language the game is in
+    const WORD_LANG = 'en-AU';
+
+    let pairs = null;
+    let loading = null;
+    let pair = null;
+    let round = null;
+    let gameToken = 0;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the pair game module
+     */
+    function init() {
+        elements.section = document.getElementById('speech-practice');
+        elements.btnOpen = document.getElementById('btn-pair-game');
+        elements.panel = document.getElementById('pair-game');
+        elements.pairs = document.getElementById('pair-game-pairs');
+        elements.prompt = document.getElementById('pair-game-prompt');
+        elements.choices = document.getElementById('pair-game-choices');
+        elements.score = document.getElementById('pair-game-score');
+        elements.btnRepeat = document.getElementById('btn-pair-game-repeat');
+        elements.btnClose = document.getElementById('btn-pair-game-close');
+
+        if (!elements.btnOpen || !elements.panel) {
+            console.error('Pair game controls not found');
+            return;
+        }
+
+        elements.btnOpen.addEventListener('click', () => {
+            const animal = Cards.getCurrentAnimal();
+            if (animal) open(animal);
+        });
+        elements.btnRepeat.addEventListener('click', sayWord);
+        elements.btnClose.addEventListener('click', () => {
+            close();
+            elements.btnOpen.focus();
+        });
+
+        console.log('PairGame module initialized');
+    }
+
+    /**
+     * Load the word pairs (once)
+     * @returns {Promise<Array>} Sound pairs
+     */
+    function loadPairs() {
+        if (pairs) return Promise.resolve(pairs);
+        if (loading) return loading;
+
+        loading = fetch(DATA_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                pairs = (data.pairs || []).map(cleanPair).filter(p => p.items.length > 0);
+                console.log(`Loaded ${pairs.length} minimal-pair sets`);
+                return pairs;
+            })
+            .finally(() => {
+                loading = null;
+            });
+
+        return loading;
+    }
+
+    /**
+     * Drop word pairs that are missing a word or picture
+     * @param {Object} data - Sound pair from the data file
+     * @returns {Object} Sound pair with only usable items
+     */
+    function cleanPair(data) {
+        const items = (data.items || []).filter(item => {
+            const ok = item && [item.target, item.contrast].every(side => side && side.word && side.picture);
+            if (!ok) console.warn(`minimal-pairs.json: skipping an incomplete item in ${data.id}`);
+            return ok;
+        }).map(item => ({ ...item, level: Math.min(Math.max(item.level || 1, 1), MAX_LEVEL) }));
+
+        return { ...data, items };
+    }
+
+    /**
+     * Show the game in place of the practice controls
+     * @param {Object} animal - Animal whose card is open (picks the sound pair)
+     */
+    function open(animal) {
+        Practice.stop();
+        const token = ++gameToken;
+
+        elements.section.classList.add('speech-practice--game');
+        elements.panel.hidden = false;
+        elements.btnOpen.setAttribute('aria-expanded', 'true');
+        elements.choices.innerHTML = '';
+        setPrompt(I18n.t('pairGame.loading'));
+
+        loadPairs().then(loaded => {
+            if (token !== gameToken) return;
+            if (loaded.length === 0) {
+                setPrompt(I18n.t('pairGame.empty'));
+                return;
+            }
+
+            const sound = animal.speechPractice && animal.speechPractice.targetSound;
+            renderPairButtons();
+            selectPair(loaded.find(p => p.target === sound) || loaded[0]);
+        }).catch(error => {
+            console.error('Error loading minimal pairs:', error);
+            if (token === gameToken) setPrompt(I18n.t('pairGame.loadError'));
+        });
+    }
+
+    /**
+     * Hide the game and go back to the practice controls
+     */
+    function close() {
+        if (!elements.panel || elements.panel.hidden) return;
+
+        gameToken++;
+        round = null;
+        if (Speech.isSpeaking()) Speech.stop();
+
+        elements.panel.hidden = true;
+        elements.section.classList.remove('speech-practice--game');
+        elements.btnOpen.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Show a button for each sound pair
+     */
+    function renderPairButtons() {
+        elements.pairs.innerHTML = '';
+        pairs.forEach(p => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pair-game__pair';
+            button.textContent = p.label;
+            button.dataset.say = p.label;
+            button.dataset.pair = p.id;
+            button.addEventListener('click', () => selectPair(p));
+            elements.pairs.appendChild(button);
+        });
+    }
+
+    /**
+     * Switch to a sound pair and start a round
+     * @param {Object} selected - Sound pair
+     */
+    function selectPair(selected) {
+        // Drop any round still waiting to start
+        gameToken++;
+        pair = selected;
+        elements.pairs.querySelectorAll('.pair-game__pair').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.pair === pair.id));
+        });
+        updateScore();
+        nextRound();
+    }
+
+    /**
+     * Get the active player's scores for a sound pair
+     * @param {string} pairId - Sound pair ID
+     * @returns {Object} { attempts, correct, level, recent, lastPlayedAt }
+     */
+    function getStats(pairId) {
+        const listening = SaveData.get().listening;
+        return listening[pairId] || { attempts: 0, correct: 0, level: 1, recent: [], lastPlayedAt: null };
+    }
+
+    /**
+     * Pick a word pair and show the pictures
+     */
+    function nextRound() {
+        const token = gameToken;
+        const level = Math.min(Math.max(getStats(pair.id).level, 1), MAX_LEVEL);
+        const settings = LEVELS[level];
+
+        const item = pickItem(level, round ? round.item : null);
+        const answer = Math.random() < 0.5 ? item.target : item.contrast;
+
+        let choices = [item.target, item.contrast];
+        if (settings.choices > 2) {
+            const other = pickItem(level, item);
+            if (other !== item) choices.push(other.target, other.contrast);
+        }
+        choices = shuffle(choices);
+
+        round = { item, answer, rate: settings.rate, answered: false };
+        renderChoices(choices);
+        setPrompt(I18n.t('pairGame.listen'));
+
+        // Let the prompt settle before saying the word
+        setTimeout(() => {
+            if (token === gameToken) sayWord();
+        }, 300);
+    }
+
+    /**
+     * Choose a word pair, favouring the current level
+     * @param {number} level - Current level
+     * @param {Object|null} avoid - Item not to repeat
+     * @returns {Object} Word pair item
+     */
+    function pickItem(level, avoid) {
+        const available = pair.items.filter(item => item.level <= level);
+        const pool = available.length > 1 ? available.filter(item => item !== avoid) : available;
+        const current = pool.filter(item => item.level === level);
+
+        const from = current.length > 0 && Math.random() < CURRENT_LEVEL_CHANCE ? current : pool;
+        return from[Math.floor(Math.random() * from.length)];
+    }
+
+    /**
+     * Show the picture buttons for this round
+     * @param {Array<Object>} choices - Words as { word, picture }
+     */
+    function renderChoices(choices) {
+        elements.choices.innerHTML = '';
+        elements.choices.classList.toggle('pair-game__choices--many', choices.length > 2);
+
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pair-game__choice';
+            button.dataset.word = choice.word;
+            // Pictures only - written words would give the answer away
+            button.setAttribute('aria-label', choice.word);
+
+            const picture = document.createElement('span');
+            picture.className = 'pair-game__picture';
+            picture.setAttribute('aria-hidden', 'true');
+            picture.textContent = choice.picture;
+            button.appendChild(picture);
+
+            button.addEventListener('click', () => answer(choice, button));
+            elements.choices.appendChild(button);
+        });
+    }
+
+    /**
+     * Say this round's word
+     */
+    function sayWord() {
+        if (!round) return;
+        Speech.speak(round.answer.word, { rate: round.rate, lang: WORD_LANG });
+    }
+
+    /**
+     * Check the picture the child tapped
+     * @param {Object} choice - Chosen word
+     * @param {HTMLElement} button - Chosen picture button
+     */
+    function answer(choice, button) {
+        if (!round || round.answered) return;
+        round.answered = true;
+
+        const correct = choice === round.answer;
+        const levelChange = recordAnswer(correct);
+
+        elements.choices.querySelectorAll('.pair-game__choice').forEach(b => {
+            b.disabled = true;
+            if (b.dataset.word === round.answer.word) {
+                b.classList.add('pair-game__choice--correct');
+            }
+        });
+        if (!correct) {
+            button.classList.add('pair-game__choice--wrong');
+        }
+
+        let message = correct
+            ? I18n.t('pairGame.correct', { word: capitalize(round.answer.word) })
+            : I18n.t('pairGame.wrong', { chosen: choice.word, word: round.answer.word });
+        if (levelChange > 0) {
+            message += ' ' + I18n.t('pairGame.levelUp');
+        } else if (levelChange < 0) {
+            message += ' ' + I18n.t('pairGame.levelDown');
+        }
+
+        setPrompt(message);
+        updateScore();
+
+        // Move on even if other speech cuts the feedback short
+        const token = gameToken;
+        const next = () => {
+            setTimeout(() => {
+                if (token === gameToken) nextRound();
+            }, NEXT_ROUND_DELAY);
+        };
+        Speech.speak(message, { onEnd: next, onCancel: next });
+    }
+
+    /**
+     * Save an answer and move the level up or down if needed
+     * @param {boolean} correct - Whether the right picture was tapped
+     * @returns {number} 1 if the level went up, -1 if down, otherwise 0
+     */
+    function recordAnswer(correct) {
+        const stats = getStats(pair.id);
+        stats.attempts++;
+        if (correct) stats.correct++;
+        stats.recent = [...stats.recent, correct].slice(-RECENT_WINDOW);
+        stats.lastPlayedAt = Date.now();
+
+        let change = 0;
+        if (stats.recent.length >= RECENT_WINDOW) {
+            const accuracy = stats.recent.filter(Boolean).length / stats.recent.length;
+            if (accuracy >= LEVEL_UP_ACCURACY && stats.level < MAX_LEVEL) {
+                change = 1;
+            } else if (accuracy <= LEVEL_DOWN_ACCURACY && stats.level > 1) {
+                change = -1;
+            }
+        }
+        if (change !== 0) {
+            stats.level += change;
+            stats.recent = [];
+        }
+
+        SaveData.get().listening[pair.id] = stats;
+        SaveData.save();
+        return change;
+    }
+
+    /**
+     * Show the score for the current sound pair
+     */
+    function updateScore() {
+        const stats = getStats(pair.id);
+        elements.score.textContent = stats.attempts > 0
+            ? I18n.t('pairGame.score', { pair: pair.label, correct: stats.correct, attempts: stats.attempts, level: stats.level })
+            : I18n.t('pairGame.level', { pair: pair.label, level: stats.level });
+    }
+
+    /**
+     * Show a message above the pictures
+     * @param {string} message - Message to show
+     */
+    function setPrompt(message) {
+        elements.prompt.textContent = message;
+    }
+
+    /**
+     * Shuffle a list into a new array
+     * @param {Array} list - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    function shuffle(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Capitalize first letter
+     * @param {string} str - String to capitalize
+     * @returns {string} Capitalized string
+     */
+    function capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        getStats
+    };
+})();
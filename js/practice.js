@@ -0,0 +1,635 @@
+/* ========================================
+   Practice Module - Say It! Record, Check & Playback
+   ======================================== */
+
+const Practice = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'animal_adventure_recordings';
+    const MAX_ATTEMPTS_PER_ANIMAL = 3;
+
+    // Syllables are said slowly; ones with the target sound slower
+    // and higher, so the K or G stands out
+    const SYLLABLE_VOICE = { rate: 0.6 };
+    const TARGET_VOICE = { rate: 0.45, pitch: 1.3 };
+    const BUILD_UP_PAUSE = 400;
+
+    let recordings = {};
+    let currentAnimal = null;
+    let player = null;
+    let playbackToken = 0;
+    let activeAttempt = null;
+    let syllables = [];
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the practice module
+     */
+    function init() {
+        elements.btnHear = document.getElementById('btn-hear-model');
+        elements.btnRecord = document.getElementById('btn-record');
+        elements.status = document.getElementById('practice-status');
+        elements.attempts = document.getElementById('practice-attempts');
+        elements.phonetic = document.getElementById('phonetic-display');
+        elements.btnBuildUp = document.getElementById('btn-build-up');
+
+        if (!elements.btnRecord || !elements.attempts) {
+            console.error('Speech practice controls not found');
+            return;
+        }
+
+        loadFromStorage();
+
+        elements.btnHear.addEventListener('click', () => {
+            if (currentAnimal) playModel();
+        });
+        elements.btnBuildUp.addEventListener('click', () => {
+            if (currentAnimal) buildUp();
+        });
+
+        if (canAttempt()) {
+            elements.btnRecord.addEventListener('click', toggleAttempt);
+        } else {
+            // No microphone API - keep the phonetic help, hide recording
+            elements.btnRecord.hidden = true;
+            console.warn('Recording and recognition not supported - Say it! disabled');
+        }
+
+        console.log('Practice module initialized');
+    }
+
+    /**
+     * Load the active player's recordings from localStorage
+     */
+    function loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(Profiles.scopedKey(STORAGE_KEY));
+            recordings = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Error loading recordings:', error);
+            recordings = {};
+        }
+    }
+
+    /**
+     * Reload practice history after the player changes
+     */
+    function reload() {
+        reset();
+        loadFromStorage();
+    }
+
+    /**
+     * Save the active player's recordings to localStorage, dropping the oldest
+     * attempts if the browser runs out of space
+     */
+    function saveToStorage() {
+        while (true) {
+            try {
+                localStorage.setItem(Profiles.scopedKey(STORAGE_KEY), JSON.stringify(recordings));
+                return;
+            } catch (error) {
+                if (!dropOldestAttempt()) {
+                    console.error('Error saving recordings:', error);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove the single oldest attempt across all animals
+     * @returns {boolean} False if there was nothing left to remove
+     */
+    function dropOldestAttempt() {
+        let oldestId = null;
+        let oldestTime = Infinity;
+
+        Object.entries(recordings).forEach(([animalId, attempts]) => {
+            if (attempts.length > 0 && attempts[0].recordedAt < oldestTime) {
+                oldestId = animalId;
+                oldestTime = attempts[0].recordedAt;
+            }
+        });
+
+        // Never drop the attempt that was just recorded
+        if (!oldestId || (currentAnimal && oldestId === currentAnimal.id && recordings[oldestId].length === 1)) {
+            return false;
+        }
+
+        recordings[oldestId].shift();
+        return true;
+    }
+
+    /**
+     * Show the practice controls for an animal
+     * @param {Object} animal - Animal data object
+     */
+    function render(animal) {
+        reset();
+        currentAnimal = animal;
+        renderPhonetic(animal);
+        setStatus(canAttempt()
+            ? I18n.t('practice.ready')
+            : '');
+        renderAttempts();
+    }
+
+    /**
+     * Stop any recording, listening or playback
+     */
+    function stop() {
+        if (activeAttempt) {
+            activeAttempt.cancelled = true;
+            activeAttempt.stop();
+        }
+        stopPlayback();
+        updateRecordButton(false);
+    }
+
+    /**
+     * Stop everything and forget the animal (called when the card closes)
+     */
+    function reset() {
+        stop();
+        currentAnimal = null;
+    }
+
+    /**
+     * Check if this browser can record or listen to an attempt
+     * @returns {boolean}
+     */
+    function canAttempt() {
+        return Recorder.isSupported() || Recognition.isSupported();
+    }
+
+    /**
+     * Start an attempt, or finish the one in progress
+     */
+    async function toggleAttempt() {
+        if (activeAttempt) {
+            activeAttempt.stop();
+            return;
+        }
+
+        stopPlayback();
+
+        const animal = currentAnimal;
+        let finishRecording = () => {};
+        const attempt = {
+            animal,
+            cancelled: false,
+            stop() {
+                Recognition.stop();
+                finishRecording();
+            }
+        };
+
+        // Record the attempt so it can be played back...
+        const recorded = new Promise(resolve => {
+            if (!Recorder.isSupported()) {
+                resolve(null);
+                return;
+            }
+            finishRecording = () => Recorder.stop().then(resolve);
+            Recorder.start({ onAutoStop: resolve }).then(started => {
+                // The attempt may have ended or been reset while waiting for the microphone
+                if (started && (activeAttempt !== attempt || attempt.cancelled)) Recorder.cancel();
+            }).catch(error => {
+                handleRecorderError(error);
+                resolve(null);
+            });
+        });
+
+        // ...and listen to it at the same time so it can be checked
+        const heard = Recognition.isSupported()
+            ? Recognition.listen({ lang: getPracticeLang(animal) }).catch(error => {
+                handleRecognitionError(error);
+                // Keep recording until the child taps stop or time runs out,
+                // then fall back to just comparing the recording
+                return recorded.then(() => null);
+            })
+            : recorded.then(() => null);
+
+        activeAttempt = attempt;
+        updateRecordButton(true);
+        setStatus(I18n.t('practice.listening'));
+
+        // Recognition ends by itself when the child stops talking,
+        // and the recording ends with it
+        const transcripts = await heard;
+        finishRecording();
+        const blob = await recorded;
+
+        const cancelled = attempt.cancelled;
+        activeAttempt = null;
+        updateRecordButton(false);
+
+        if (!cancelled && currentAnimal === animal && (blob || transcripts)) {
+            await finishAttempt(animal, blob, transcripts);
+        }
+    }
+
+    /**
+     * Save a finished attempt, give feedback and play it
+     * next to the model pronunciation
+     * @param {Object} animal - Animal the attempt was for
+     * @param {Blob|null} blob - Recorded audio, if recording worked
+     * @param {Array<string>|null} transcripts - What was heard, if listening worked
+     */
+    async function finishAttempt(animal, blob, transcripts) {
+        const audio = blob ? await blobToDataUrl(blob) : null;
+        const checked = transcripts ? Pronunciation.check(transcripts, animal) : null;
+        const feedback = checked ? Pronunciation.getFeedback(checked, animal) : null;
+
+        const attempts = recordings[animal.id] || [];
+        attempts.push({
+            recordedAt: Date.now(),
+            audio,
+            result: checked ? checked.result : null,
+            heard: checked ? checked.transcript : null
+        });
+
+        // Keep only the last few attempts per animal
+        recordings[animal.id] = attempts.slice(-MAX_ATTEMPTS_PER_ANIMAL);
+        saveToStorage();
+        recordStats(animal.id, checked ? checked.result : null);
+        renderAttempts();
+
+        if (!feedback) {
+            setStatus(I18n.t('practice.compare'));
+            compare(audio);
+            return;
+        }
+
+        setStatus(feedback.text);
+        stopPlayback();
+        const token = playbackToken;
+        Speech.speak(feedback.text, {
+            onEnd: () => {
+                if (audio && token === playbackToken) compare(audio);
+            }
+        });
+    }
+
+    /**
+     * Add an attempt to the player's practice stats
+     * @param {string} animalId - Animal ID
+     * @param {string|null} result - Check result, if the attempt was checked
+     */
+    function recordStats(animalId, result) {
+        const practice = SaveData.get().practice;
+        const stats = practice[animalId] || { attempts: 0, correct: 0 };
+
+        stats.attempts++;
+        if (result === 'correct') stats.correct++;
+        stats.lastResult = result;
+        stats.lastPracticedAt = Date.now();
+
+        practice[animalId] = stats;
+        SaveData.save();
+
+        document.dispatchEvent(new CustomEvent('practice:attempted', { detail: { animalId, result } }));
+    }
+
+    /**
+     * Get the player's practice stats for an animal
+     * @param {string} animalId - Animal ID
+     * @returns {Object} { attempts, correct, lastResult, lastPracticedAt }
+     */
+    function getStats(animalId) {
+        return { attempts: 0, correct: 0, ...SaveData.get().practice[animalId] };
+    }
+
+    /**
+     * Explain a recording problem in kid-friendly words
+     * @param {Error} error - Error from the Recorder module
+     */
+    function handleRecorderError(error) {
+        console.warn('Recording failed:', error.message);
+
+        // Listening can still check the attempt without a recording
+        if (Recognition.isSupported() && error.reason !== 'denied') return;
+
+        if (error.reason === 'denied') {
+            setStatus(I18n.t('practice.micDenied'));
+        } else if (error.reason === 'no-microphone') {
+            setStatus(I18n.t('practice.noMic'));
+            elements.btnRecord.hidden = true;
+        } else {
+            setStatus(I18n.t('practice.recordingFailed'));
+            elements.btnRecord.hidden = true;
+        }
+    }
+
+    /**
+     * Explain a listening problem in kid-friendly words
+     * @param {Error} error - Error from the Recognition module
+     */
+    function handleRecognitionError(error) {
+        console.warn('Speech recognition failed:', error.message);
+
+        if (error.reason === 'denied') {
+            setStatus(I18n.t('practice.micDenied'));
+        } else if (!Recorder.isSupported()) {
+            setStatus(I18n.t('practice.listeningFailed'));
+            elements.btnRecord.hidden = true;
+        }
+    }
+
+    /**
+     * Render the list of saved attempts for the current animal
+     */
+    function renderAttempts() {
+        elements.attempts.innerHTML = '';
+        if (!currentAnimal) return;
+
+        const attempts = recordings[currentAnimal.id] || [];
+
+        // Newest first
+        attempts.slice().reverse().forEach((attempt, i) => {
+            const li = document.createElement('li');
+            li.className = 'practice-attempt';
+
+            const label = document.createElement('span');
+            label.className = 'practice-attempt__label';
+            label.textContent = i === 0 ? I18n.t('practice.newest') : formatDate(attempt.recordedAt);
+            li.appendChild(label);
+
+            if (attempt.result) {
+                const result = document.createElement('span');
+                result.className = `practice-attempt__result practice-attempt__result--${attempt.result}`;
+                result.textContent = attempt.result === 'correct' ? '⭐' : '💪';
+                result.title = attempt.heard
+                    ? I18n.t('practice.heard', { heard: attempt.heard })
+                    : I18n.t('practice.keepPractising');
+                li.appendChild(result);
+            }
+
+            // Attempts that were only listened to have nothing to play
+            if (!attempt.audio) {
+                elements.attempts.appendChild(li);
+                return;
+            }
+
+            const playBtn = document.createElement('button');
+            playBtn.className = 'btn btn--small';
+            playBtn.innerHTML = `<span class="btn__icon">▶️</span> <span class="btn__text">${I18n.t('practice.me')}</span>`;
+            playBtn.setAttribute('aria-label', I18n.t('practice.playMine', { date: formatDate(attempt.recordedAt) }));
+            playBtn.addEventListener('click', () => {
+                stopPlayback();
+                playAudio(attempt.audio);
+            });
+            li.appendChild(playBtn);
+
+            const compareBtn = document.createElement('button');
+            compareBtn.className = 'btn btn--small';
+            compareBtn.innerHTML = `<span class="btn__icon">🔁</span> <span class="btn__text">${I18n.t('practice.compareButton')}</span>`;
+            compareBtn.setAttribute('aria-label', I18n.t('practice.compareLabel'));
+            compareBtn.addEventListener('click', () => compare(attempt.audio));
+            li.appendChild(compareBtn);
+
+            elements.attempts.appendChild(li);
+        });
+    }
+
+    /**
+     * Show the phonetic spelling as syllable chips that can be tapped to hear
+     * @param {Object} animal - Animal data object
+     */
+    function renderPhonetic(animal) {
+        const practice = animal.speechPractice;
+        syllables = Pronunciation.splitPhonetic(practice.phonetic, practice.targetSound);
+        elements.phonetic.innerHTML = '';
+
+        let wordEl = null;
+        syllables.forEach((syllable, index) => {
+            if (index === 0 || syllable.word !== syllables[index - 1].word) {
+                wordEl = document.createElement('span');
+                wordEl.className = 'phonetic__word';
+                elements.phonetic.appendChild(wordEl);
+            } else {
+                const joiner = document.createElement('span');
+                joiner.className = 'phonetic__joiner';
+                joiner.setAttribute('aria-hidden', 'true');
+                joiner.textContent = '-';
+                wordEl.appendChild(joiner);
+            }
+
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'syllable-chip';
+            chip.classList.toggle('syllable-chip--stressed', syllable.stressed);
+            chip.classList.toggle('syllable-chip--target', syllable.target);
+            chip.textContent = syllable.text;
+            chip.setAttribute('aria-label', syllable.target
+                ? I18n.t('practice.hearTarget', { syllable: syllable.text, sound: practice.targetSound.toUpperCase() })
+                : I18n.t('practice.hear', { syllable: syllable.text }));
+            chip.addEventListener('click', () => playSyllable(index));
+            wordEl.appendChild(chip);
+        });
+    }
+
+    /**
+     * Say one syllable slowly
+     * @param {number} index - Syllable position
+     */
+    function playSyllable(index) {
+        stopPlayback();
+
+        const syllable = syllables[index];
+        const voice = syllable.target ? TARGET_VOICE : SYLLABLE_VOICE;
+        const done = () => setPlaying(0, -1);
+
+        setPlaying(index, index);
+        Speech.speak(syllable.text.toLowerCase(), {
+            ...voice,
+            lang: getPracticeLang(currentAnimal),
+            onEnd: done,
+            onCancel: done
+        });
+    }
+
+    /**
+     * Say the name a syllable at a time, adding one each time:
+     * "KROK... KROK-oh... KROK-oh-dile"
+     */
+    function buildUp() {
+        stopPlayback();
+        const token = playbackToken;
+
+        function step(last) {
+            setPlaying(0, last);
+            Speech.speak(joinSyllables(syllables.slice(0, last + 1)), {
+                ...SYLLABLE_VOICE,
+                lang: getPracticeLang(currentAnimal),
+                onEnd: () => {
+                    if (token !== playbackToken) return;
+                    if (last + 1 >= syllables.length) {
+                        setPlaying(0, -1);
+                        return;
+                    }
+                    setTimeout(() => {
+                        if (token === playbackToken) step(last + 1);
+                    }, BUILD_UP_PAUSE);
+                },
+                onCancel: () => setPlaying(0, -1)
+            });
+        }
+
+        step(0);
+    }
+
+    /**
+     * Voice language for the name being practised (it stays English
+     * when the player's language has no phonetic spelling for it)
+     * @param {Object} animal - Animal data object
+     * @returns {string} e.g. 'en-AU'
+     */
+    function getPracticeLang(animal) {
+        return I18n.getSpeechLang(animal.speechPractice.locale);
+    }
+
+    /**
+     * Join syllables back into speakable text, e.g. "ees-tern brown"
+     * @param {Array<Object>} parts - Syllables from Pronunciation.splitPhonetic
+     * @returns {string} Text to speak
+     */
+    function joinSyllables(parts) {
+        return parts.map((syllable, i) => {
+            const joiner = i === 0 ? '' : (syllable.word === parts[i - 1].word ? '-' : ' ');
+            return joiner + syllable.text.toLowerCase();
+        }).join('');
+    }
+
+    /**
+     * Light up the chips being said (an empty range clears them)
+     * @param {number} first - First syllable being said
+     * @param {number} last - Last syllable being said
+     */
+    function setPlaying(first, last) {
+        elements.phonetic.querySelectorAll('.syllable-chip').forEach((chip, i) => {
+            chip.classList.toggle('syllable-chip--playing', i >= first && i <= last);
+        });
+    }
+
+    /**
+     * Play the model pronunciation
+     * @param {Function} [onEnd] - Called when the model has been spoken
+     */
+    function playModel(onEnd) {
+        stopPlayback();
+        Speech.speakName(currentAnimal, onEnd);
+    }
+
+    /**
+     * Play the model pronunciation followed by a recorded attempt
+     * @param {string|null} audio - Recorded attempt as a data URL
+     */
+    function compare(audio) {
+        stopPlayback();
+        const token = playbackToken;
+        Speech.speakName(currentAnimal, () => {
+            // Skip if something else started playing in the meantime
+            if (audio && token === playbackToken) playAudio(audio);
+        });
+    }
+
+    /**
+     * Play a recorded attempt
+     * @param {string} audio - Recorded attempt as a data URL
+     */
+    function playAudio(audio) {
+        player = new Audio(audio);
+        player.play().catch(error => {
+            console.warn('Could not play recording:', error);
+        });
+    }
+
+    /**
+     * Stop the model voice and any recorded playback
+     */
+    function stopPlayback() {
+        playbackToken++;
+        if (player) {
+            player.pause();
+            player = null;
+        }
+        if (Speech.isSpeaking()) {
+            Speech.stop();
+        }
+    }
+
+    /**
+     * Update the record button visual state
+     * @param {boolean} recording - Whether currently recording
+     */
+    function updateRecordButton(recording) {
+        if (!elements.btnRecord) return;
+
+        elements.btnRecord.classList.toggle('recording', recording);
+        elements.btnRecord.innerHTML = recording
+            ? `<span class="btn__icon">⏹️</span> <span class="btn__text">${I18n.t('practice.stop')}</span>`
+            : `<span class="btn__icon">🎤</span> <span class="btn__text">${I18n.t('practice.sayIt')}</span>`;
+    }
+
+    /**
+     * Show a status message under the practice controls
+     * @param {string} message - Message to show
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Convert a recorded blob to a data URL for storage
+     * @param {Blob} blob - Audio blob
+     * @returns {Promise<string>} Data URL
+     */
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Format an attempt time for parents
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Short date and time
+     */
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(I18n.getLocale(), {
+            day: 'numeric',
+            month: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Get saved attempts for an animal
+     * @param {string} animalId - Animal ID
+     * @returns {Array} Attempts, oldest first
+     */
+    function getAttempts(animalId) {
+        return [...(recordings[animalId] || [])];
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        render,
+        stop,
+        reset,
+        getAttempts,
+        getStats
+    };
+})();
@@ -0,0 +1,79 @@
+/* ========================================
+   Pre-Reader Module - Playing Without Reading
+   ======================================== */
+
+/*
+ * A per-player setting for children who can't read yet. When it's on:
+ *   - buttons show big icons instead of words (css/pre-reader.css)
+ *   - anything with a data-say attribute speaks it when tapped
+ *   - cards read themselves as they open (Cards.show)
+ *   - instructions and discoveries are spoken with prompt()
+ */
+
+const PreReader = (function() {
+    'use strict';
+
+    const SETTING = 'preReader';
+
+    // Named prompts - the catalogue's preReader.<name> strings
+    const PROMPTS = ['map', 'gallery'];
+
+    let enabled = false;
+
+    /**
+     * Initialize the pre-reader module
+     */
+    function init() {
+        // Capture phase, so the label is spoken before the button's own
+        // action - if that action speaks too, it takes over
+        document.addEventListener('click', handleClick, true);
+
+        console.log('PreReader module initialized');
+    }
+
+    /**
+     * Apply the active player's setting
+     */
+    function reload() {
+        enabled = SaveData.getSetting(SETTING, false) === true;
+        document.body.classList.toggle('pre-reader', enabled);
+    }
+
+    /**
+     * Speak the label of a tapped element
+     * @param {MouseEvent} event - Click event
+     */
+    function handleClick(event) {
+        if (!enabled) return;
+
+        const target = event.target.closest('[data-say]');
+        if (target && !target.disabled) {
+            Speech.speak(target.dataset.say);
+        }
+    }
+
+    /**
+     * Check if pre-reader mode is on for the active player
+     * @returns {boolean}
+     */
+    function isOn() {
+        return enabled;
+    }
+
+    /**
+     * Speak an instruction or message, only in pre-reader mode
+     * @param {string} message - Text to speak, or one of PROMPTS
+     */
+    function prompt(message) {
+        if (!enabled) return;
+        Speech.speak(PROMPTS.includes(message) ? I18n.t(`preReader.${message}`) : message);
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        isOn,
+        prompt
+    };
+})();
@@ -0,0 +1,432 @@
+/* ========================================
+   Print Module - Posters & Cut-Out Cards
+   ======================================== */
+
+/*
+ * Printing builds its own document in a hidden iframe rather than
+ * printing the game page, so the layout can use real paper sizes:
+ *
+ *   - Poster: the map on one A4 or A3 landscape page, with a numbered
+ *     marker for each animal and a key beside it.
+ *   - Cards: 63 x 88 mm fact cards, 9 to an A4 page, with crop marks.
+ *
+ * Every animal keeps the same number (its place in animals.json) on
+ * both, so a card can be matched to its spot on the poster.
+ */
+
+const Print = (function() {
+    'use strict';
+
+    const STYLESHEET = 'css/print-document.css';
+    const FONTS = 'https://fonts.googleapis.com/css2?family=Pirata+One&family=Nunito:wght@400;600;700&display=swap';
+
+    const DEFAULT_OPTIONS = {
+        animals: 'collected',   // 'collected' or 'all'
+        colour: 'colour',       // 'colour' or 'ink-saver'
+        paper: 'A4'             // poster size: 'A4' or 'A3'
+    };
+
+    const CARDS_PER_PAGE = 9;
+    const CARD_COLUMNS = 3;
+    const CARD_WIDTH_MM = 63;
+    const CARD_HEIGHT_MM = 88;
+    const CROP_MARK_MM = 5;
+    const CROP_GAP_MM = 1;
+
+    // Poster marker size, in map viewBox units
+    const MARKER_RADIUS = 11;
+
+    let frame = null;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the print module
+     */
+    function init() {
+        elements.animals = document.getElementById('print-animals');
+        elements.colour = document.getElementById('print-colour');
+        elements.paper = document.getElementById('print-paper');
+        elements.status = document.getElementById('print-status');
+
+        [elements.animals, elements.colour, elements.paper].forEach(select => {
+            if (select) select.addEventListener('change', saveOptions);
+        });
+
+        reload();
+
+        console.log('Print module initialized');
+    }
+
+    /**
+     * Show the active player's print options
+     */
+    function reload() {
+        const options = getOptions();
+        if (elements.animals) elements.animals.value = options.animals;
+        if (elements.colour) elements.colour.value = options.colour;
+        if (elements.paper) elements.paper.value = options.paper;
+        setStatus('');
+    }
+
+    /**
+     * Get the active player's print options
+     * @returns {Object} { animals, colour, paper }
+     */
+    function getOptions() {
+        return { ...DEFAULT_OPTIONS, ...SaveData.getSetting('print', {}) };
+    }
+
+    /**
+     * Remember the chosen print options for this player
+     */
+    function saveOptions() {
+        SaveData.setSetting('print', {
+            animals: elements.animals.value,
+            colour: elements.colour.value,
+            paper: elements.paper.value
+        });
+    }
+
+    /**
+     * Print the poster or the cards
+     * @param {string} mode - 'map' for the poster, 'cards' for cut-out cards
+     */
+    async function print(mode) {
+        const options = getOptions();
+        const entries = getNumberedAnimals(options);
+
+        if (entries.length === 0) {
+            setStatus(I18n.t('print.nothing'));
+            return;
+        }
+
+        const html = mode === 'cards'
+            ? buildCardsDocument(entries, options)
+            : buildPosterDocument(entries, options);
+
+        setStatus(I18n.t('print.preparing'));
+
+        try {
+            const printWindow = await loadFrame(html);
+            setStatus('');
+            printWindow.focus();
+            printWindow.print();
+        } catch (error) {
+            console.error('Error printing:', error);
+            setStatus(I18n.t('print.failed'));
+        }
+    }
+
+    /**
+     * Number every animal by its place in animals.json, then pick the ones to print
+     * @param {Object} options - Print options
+     * @returns {Array<Object>} { number, animal }
+     */
+    function getNumberedAnimals(options) {
+        return AnimalData.getAll()
+            .map((animal, index) => ({ number: index + 1, animal }))
+            .filter(entry => options.animals === 'all' || Collection.isCollected(entry.animal.id));
+    }
+
+    /**
+     * Load a print document into a fresh hidden iframe
+     * @param {string} html - Full HTML document
+     * @returns {Promise<Window>} The iframe's window, once images and fonts are ready
+     */
+    function loadFrame(html) {
+        if (frame) frame.remove();
+
+        frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+
+        return new Promise((resolve, reject) => {
+            frame.addEventListener('load', () => {
+                const printWindow = frame.contentWindow;
+                printWindow.addEventListener('afterprint', removeFrame);
+
+                const fontsReady = printWindow.document.fonts ? printWindow.document.fonts.ready : Promise.resolve();
+                fontsReady.then(() => resolve(printWindow), reject);
+            }, { once: true });
+
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Remove the print iframe once printing is done
+     */
+    function removeFrame() {
+        // Let the print dialog finish with the document first
+        const finished = frame;
+        frame = null;
+        setTimeout(() => { if (finished) finished.remove(); }, 0);
+    }
+
+    /**
+     * Wrap print content in a complete document
+     * @param {string} title - Document title
+     * @param {string} pageSize - CSS @page size
+     * @param {string} bodyClass - Class for the body
+     * @param {Object} options - Print options
+     * @param {string} content - Body HTML
+     * @returns {string} HTML document
+     */
+    function wrapDocument(title, pageSize, bodyClass, options, content) {
+        const inkSaver = options.colour === 'ink-saver' ? ' print-doc--ink-saver' : '';
+
+        return `<!DOCTYPE html>
+<html lang="${I18n.getLocale()}" class="print-doc${inkSaver}">
+<head>
+    <meta charset="UTF-8">
+    <base href="${escapeHtml(document.baseURI)}">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${FONTS}">
+    <link rel="stylesheet" href="${STYLESHEET}">
+    <style>@page { size: ${pageSize}; margin: ${bodyClass === 'cards' ? '0' : '10mm'}; }</style>
+</head>
+<body class="${bodyClass}">
+${content}
+</body>
+</html>`;
+    }
+
+    /**
+     * Build the poster map document
+     * @param {Array<Object>} entries - Numbered animals to show
+     * @param {Object} options - Print options
+     * @returns {string} HTML document
+     */
+    function buildPosterDocument(entries, options) {
+        const profile = Profiles.getActive();
+        const total = AnimalData.getAll().length;
+        const found = Collection.getCollectedIds().length;
+        const discovered = I18n.t('print.discovered', { count: found, total });
+        const subtitle = profile
+            ? `${profile.avatar} ${I18n.t('print.adventure', { name: profile.name })} - ${discovered}`
+            : discovered;
+
+        const key = entries.map(({ number, animal }) => `
+            <li class="poster__key-item">
+                <span class="poster__key-number poster__key-number--${animal.rarity}">${number}</span>
+                <span class="poster__key-name">${escapeHtml(animal.name)}</span>
+            </li>`).join('');
+
+        const content = `
+<main class="poster poster--${options.paper}">
+    <header class="poster__header">
+        <h1 class="poster__title">${escapeHtml(I18n.t('app.title'))}</h1>
+        <p class="poster__subtitle">${escapeHtml(subtitle)}</p>
+    </header>
+    <div class="poster__map">${buildPosterMap(entries)}</div>
+    <ol class="poster__key">${key}
+    </ol>
+</main>`;
+
+        return wrapDocument(I18n.t('print.posterTitle'), `${options.paper} landscape`, 'poster-page', options, content);
+    }
+
+    /**
+     * Draw the map with a numbered marker for each animal
+     * @param {Array<Object>} entries - Numbered animals to show
+     * @returns {string} SVG markup
+     */
+    function buildPosterMap(entries) {
+        const { width, height } = Geography.VIEWBOX;
+        const points = entries.map(entry => Geography.getAnimalPoint(entry.animal) || [width / 2, height / 2]);
+        const spots = layoutMarkers(points);
+
+        const markers = entries.map(({ number, animal }, i) => {
+            const [x, y] = points[i];
+            const [labelX, labelY] = spots[i];
+            const moved = labelX !== x || labelY !== y;
+
+            return `
+        <g class="poster-marker poster-marker--${animal.rarity}">
+            ${moved ? `<line class="poster-marker__leader" x1="${x.toFixed(1)}" y1="${y.toFixed(1)}" x2="${labelX.toFixed(1)}" y2="${labelY.toFixed(1)}"/>
+            <circle class="poster-marker__dot" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2.5"/>` : ''}
+            <circle class="poster-marker__circle" cx="${labelX.toFixed(1)}" cy="${labelY.toFixed(1)}" r="${MARKER_RADIUS}"/>
+            <text class="poster-marker__number" x="${labelX.toFixed(1)}" y="${labelY.toFixed(1)}" dy="0.35em" text-anchor="middle">${number}</text>
+        </g>`;
+        }).join('');
+
+        const labels = Geography.getStateLabels().map(label => `
+        <text class="poster-map__state" x="${label.x.toFixed(1)}" y="${label.y.toFixed(1)}" text-anchor="middle">${label.name}</text>`).join('');
+
+        return `
+<svg class="poster-map" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+        <rect class="poster-map__ocean" width="${width}" height="${height}"/>
+        <path class="poster-map__reef" d="${Geography.getReefPath()}"/>
+        <path class="poster-map__land" d="${Geography.getLandPath('mainland')}"/>
+        <path class="poster-map__land" d="${Geography.getLandPath('tasmania')}"/>
+        <path class="poster-map__border" d="${Geography.getBorderPath()}"/>${labels}
+        <g class="poster-map__compass" transform="translate(740, 70)">
+            <circle r="25"/>
+            <path d="M 0 -20 L 4 0 L 0 20 L -4 0 Z"/>
+            <text y="-32" text-anchor="middle">N</text>
+        </g>${markers}
+</svg>`;
+    }
+
+    /**
+     * Nudge overlapping markers apart so every number can be read.
+     * Markers that move get a leader line back to their real spot.
+     * @param {Array<Array<number>>} points - Real marker positions
+     * @returns {Array<Array<number>>} Where to draw each marker
+     */
+    function layoutMarkers(points) {
+        const minDistance = MARKER_RADIUS * 2.2;
+        const placed = [];
+        const fits = spot => placed.every(other =>
+            Math.hypot(spot[0] - other[0], spot[1] - other[1]) >= minDistance);
+
+        points.forEach(point => {
+            let spot = point;
+
+            for (let ring = 1; !fits(spot) && ring <= 6; ring++) {
+                const steps = 8 * ring;
+                for (let step = 0; step < steps; step++) {
+                    const angle = -Math.PI / 2 + step * 2 * Math.PI / steps;
+                    const candidate = [
+                        point[0] + Math.cos(angle) * minDistance * ring,
+                        point[1] + Math.sin(angle) * minDistance * ring
+                    ];
+                    if (fits(candidate)) {
+                        spot = candidate;
+                        break;
+                    }
+                }
+            }
+
+            placed.push(spot);
+        });
+
+        return placed;
+    }
+
+    /**
+     * Build the cut-out cards document
+     * @param {Array<Object>} entries - Numbered animals to print
+     * @param {Object} options - Print options
+     * @returns {string} HTML document
+     */
+    function buildCardsDocument(entries, options) {
+        const pages = [];
+        for (let i = 0; i < entries.length; i += CARDS_PER_PAGE) {
+            pages.push(entries.slice(i, i + CARDS_PER_PAGE));
+        }
+
+        const content = pages.map(page => `
+<section class="cards-page">
+    <div class="cards-page__sheet">
+        ${page.map(buildCard).join('')}
+        ${buildCropMarks(Math.ceil(page.length / CARD_COLUMNS))}
+    </div>
+</section>`).join('');
+
+        return wrapDocument(I18n.t('print.cardsTitle'), 'A4 portrait', 'cards', options, content);
+    }
+
+    /**
+     * Build one fact card
+     * @param {Object} entry - { number, animal }
+     * @returns {string} Card HTML
+     */
+    function buildCard({ number, animal }) {
+        const practice = animal.speechPractice;
+        const stats = ['size', 'speed', 'dangerLevel'].map(key => [I18n.t(`stats.${key}`), animal.stats[key]]);
+
+        return `
+        <article class="print-card print-card--${animal.rarity}">
+            <header class="print-card__header">
+                <span class="print-card__number">${number}</span>
+                <span class="print-card__rarity">${I18n.t(`rarity.${animal.rarity}`)}</span>
+            </header>
+            <img class="print-card__image" src="${escapeHtml(animal.image)}" alt="">
+            <h2 class="print-card__name">${escapeHtml(animal.name)}</h2>
+            ${practice && practice.hasGKSound ? `<p class="print-card__phonetic">${escapeHtml(practice.phonetic)}</p>` : ''}
+            <dl class="print-card__stats">
+                ${stats.map(([label, value]) => `
+                <div class="print-card__stat">
+                    <dt>${label}</dt>
+                    <dd><span class="print-card__bar" style="width: ${value * 10}%"></span></dd>
+                </div>`).join('')}
+            </dl>
+            <ul class="print-card__facts">
+                ${animal.facts.map(fact => `<li>${escapeHtml(fact)}</li>`).join('')}
+            </ul>
+            <footer class="print-card__footer">
+                ${I18n.t(`category.${animal.category}`)} &middot; ${capitalize(I18n.t(`habitat.${animal.habitat}`))}
+            </footer>
+        </article>`;
+    }
+
+    /**
+     * Draw crop marks outside the card grid, one in line with every cut
+     * @param {number} rows - Rows of cards on this page
+     * @returns {string} Crop mark HTML
+     */
+    function buildCropMarks(rows) {
+        const gridWidth = CARD_COLUMNS * CARD_WIDTH_MM;
+        const gridHeight = rows * CARD_HEIGHT_MM;
+        const offset = CROP_GAP_MM + CROP_MARK_MM;
+        const marks = [];
+
+        for (let column = 0; column <= CARD_COLUMNS; column++) {
+            const x = column * CARD_WIDTH_MM;
+            marks.push(`<span class="crop-mark crop-mark--vertical" style="left: ${x}mm; top: -${offset}mm"></span>`);
+            marks.push(`<span class="crop-mark crop-mark--vertical" style="left: ${x}mm; top: ${gridHeight + CROP_GAP_MM}mm"></span>`);
+        }
+        for (let row = 0; row <= rows; row++) {
+            const y = row * CARD_HEIGHT_MM;
+            marks.push(`<span class="crop-mark crop-mark--horizontal" style="top: ${y}mm; left: -${offset}mm"></span>`);
+            marks.push(`<span class="crop-mark crop-mark--horizontal" style="top: ${y}mm; left: ${gridWidth + CROP_GAP_MM}mm"></span>`);
+        }
+
+        return marks.join('');
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Capitalize first letter of string
+     * @param {string} str - Input string
+     * @returns {string} Capitalized string
+     */
+    function capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    /**
+     * Show a message next to the print options
+     * @param {string} message - Message to show
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        getOptions,
+        print
+    };
+})();
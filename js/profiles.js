@@ -0,0 +1,361 @@
+/* ========================================
+   Profiles Module - Players Sharing a Device
+   ======================================== */
+
+const Profiles = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'animal_adventure_profiles';
+
+    // Single-player keys from before profiles existed.
+    // Their data moves into the first profile.
+    const LEGACY_KEYS = [
+        'animal_adventure_collection',
+        'animal_adventure_recordings'
+    ];
+
+    // Every player's data lives under keys ending in its ID
+    const SCOPED_KEY = /^animal_adventure_\w+_(player-[a-z0-9]+)$/;
+
+    const AVATARS = ['🦘', '🐊', '🦖', '🦈', '🐙', '🦕', '🐨', '🦎'];
+    const DEFAULT_NAME = 'Explorer';
+
+    let profiles = [];
+    let activeId = null;
+    let onChange = null;
+    let modal = null;
+    let releaseFocus = null;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the profiles module
+     * @param {Function} changeHandler - Called with the profile whenever the player changes
+     */
+    function init(changeHandler) {
+        onChange = changeHandler;
+
+        modal = document.getElementById('profile-modal');
+        elements.list = document.getElementById('profile-list');
+        elements.form = document.getElementById('profile-form');
+        elements.nameInput = document.getElementById('profile-name');
+        elements.avatars = document.getElementById('profile-avatars');
+        elements.btnCancel = document.getElementById('btn-profile-cancel');
+        elements.toggle = document.getElementById('player-toggle');
+        elements.toggleAvatar = document.getElementById('player-avatar');
+        elements.toggleName = document.getElementById('player-name');
+
+        loadFromStorage();
+
+        if (profiles.length === 0) {
+            migrateLegacyData();
+        }
+
+        if (elements.toggle) {
+            elements.toggle.addEventListener('click', showPicker);
+        }
+        if (elements.form) {
+            elements.form.addEventListener('submit', handleAddSubmit);
+            elements.btnCancel.addEventListener('click', hideAddForm);
+        }
+
+        updatePlayerDisplay();
+
+        console.log(`Profiles module initialized - ${profiles.length} player(s)`);
+    }
+
+    /**
+     * Load profiles from localStorage
+     */
+    function loadFromStorage() {
+        let rebuilt = false;
+
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                profiles = parsed.profiles || [];
+                activeId = parsed.activeId || null;
+            }
+        } catch (error) {
+            console.error('Error loading profiles - rebuilding the list from saved games:', error);
+            profiles = rebuildFromStorage();
+            activeId = null;
+            rebuilt = profiles.length > 0;
+        }
+
+        if (!profiles.some(profile => profile.id === activeId)) {
+            activeId = profiles.length > 0 ? profiles[0].id : null;
+        }
+        if (rebuilt) saveToStorage();
+    }
+
+    /**
+     * Find every player that still has data saved, for when the list of
+     * players can't be read. Names and avatars are lost, so they get
+     * numbered explorers (IDs start with the time, so this keeps their order).
+     * @returns {Array} Profiles
+     */
+    function rebuildFromStorage() {
+        const ids = new Set();
+        for (let i = 0; i < localStorage.length; i++) {
+            const match = SCOPED_KEY.exec(localStorage.key(i));
+            if (match) ids.add(match[1]);
+        }
+
+        return [...ids].sort().map((id, i) => ({
+            id,
+            name: `${DEFAULT_NAME} ${i + 1}`,
+            avatar: AVATARS[i % AVATARS.length]
+        }));
+    }
+
+    /**
+     * Save profiles to localStorage
+     */
+    function saveToStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ profiles, activeId }));
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+        }
+    }
+
+    /**
+     * Create the first profile and move any single-player data into it
+     */
+    function migrateLegacyData() {
+        const profile = createProfile(DEFAULT_NAME, AVATARS[0]);
+        activeId = profile.id;
+
+        LEGACY_KEYS.forEach(key => {
+            try {
+                const saved = localStorage.getItem(key);
+                if (saved !== null) {
+                    localStorage.setItem(scopedKey(key), saved);
+                    localStorage.removeItem(key);
+                    console.log(`Moved ${key} into profile "${profile.name}"`);
+                }
+            } catch (error) {
+                console.error(`Error migrating ${key}:`, error);
+            }
+        });
+
+        saveToStorage();
+    }
+
+    /**
+     * Create and store a new profile
+     * @param {string} name - Player name
+     * @param {string} avatar - Avatar emoji
+     * @returns {Object} The new profile
+     */
+    function createProfile(name, avatar) {
+        const profile = {
+            id: `player-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            avatar
+        };
+        profiles.push(profile);
+        return profile;
+    }
+
+    /**
+     * Build a localStorage key that belongs to a player
+     * @param {string} baseKey - Key shared by all players
+     * @param {string} [profileId] - Player to build it for (default: the active player)
+     * @returns {string} Key for the player
+     */
+    function scopedKey(baseKey, profileId = activeId) {
+        return `${baseKey}_${profileId}`;
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object|null} Active profile
+     */
+    function getActive() {
+        return profiles.find(profile => profile.id === activeId) || null;
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array} Array of profiles
+     */
+    function getAll() {
+        return [...profiles];
+    }
+
+    /**
+     * Switch to another player
+     * @param {string} profileId - Profile ID
+     */
+    function select(profileId) {
+        const profile = profiles.find(p => p.id === profileId);
+        if (!profile) return;
+
+        activeId = profile.id;
+        saveToStorage();
+        updatePlayerDisplay();
+        hidePicker();
+
+        if (onChange) onChange(profile);
+    }
+
+    /**
+     * Show the "Who's exploring?" picker
+     */
+    function showPicker() {
+        if (!modal) return;
+
+        renderProfileList();
+        hideAddForm();
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+
+        // Escape keeps playing as the current player
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hidePicker
+            });
+        }
+
+        const current = elements.list.querySelector('.profile-option--active');
+        if (current) current.focus();
+    }
+
+    /**
+     * Hide the picker
+     */
+    function hidePicker() {
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+    }
+
+    /**
+     * Render one big button per player, plus "Add player"
+     */
+    function renderProfileList() {
+        elements.list.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const option = document.createElement('button');
+            option.className = 'profile-option';
+            option.classList.toggle('profile-option--active', profile.id === activeId);
+            option.setAttribute('aria-label', I18n.t('profiles.playAs', { name: profile.name }));
+
+            const avatar = document.createElement('span');
+            avatar.className = 'profile-option__avatar';
+            avatar.textContent = profile.avatar;
+            option.appendChild(avatar);
+
+            const name = document.createElement('span');
+            name.className = 'profile-option__name';
+            name.textContent = profile.name;
+            option.appendChild(name);
+
+            option.addEventListener('click', () => select(profile.id));
+            elements.list.appendChild(option);
+        });
+
+        const addOption = document.createElement('button');
+        addOption.className = 'profile-option profile-option--add';
+        addOption.innerHTML = `
+            <span class="profile-option__avatar">➕</span>
+            <span class="profile-option__name">${I18n.t('profiles.add')}</span>
+        `;
+        addOption.addEventListener('click', showAddForm);
+        elements.list.appendChild(addOption);
+    }
+
+    /**
+     * Show the form for a new player
+     */
+    function showAddForm() {
+        elements.list.hidden = true;
+        elements.form.hidden = false;
+        elements.nameInput.value = '';
+        renderAvatarChoices(AVATARS[profiles.length % AVATARS.length]);
+        elements.nameInput.focus();
+    }
+
+    /**
+     * Hide the new player form
+     */
+    function hideAddForm() {
+        elements.form.hidden = true;
+        elements.list.hidden = false;
+    }
+
+    /**
+     * Render the avatar choices for a new player
+     * @param {string} selected - Avatar to select first
+     */
+    function renderAvatarChoices(selected) {
+        elements.avatars.innerHTML = '';
+
+        AVATARS.forEach(avatar => {
+            const choice = document.createElement('button');
+            choice.type = 'button';
+            choice.className = 'avatar-choice';
+            choice.textContent = avatar;
+            choice.setAttribute('role', 'radio');
+            choice.setAttribute('aria-checked', String(avatar === selected));
+            choice.addEventListener('click', () => {
+                elements.avatars.querySelectorAll('.avatar-choice').forEach(el => {
+                    el.setAttribute('aria-checked', 'false');
+                });
+                choice.setAttribute('aria-checked', 'true');
+            });
+            elements.avatars.appendChild(choice);
+        });
+    }
+
+    /**
+     * Handle the new player form
+     * @param {Event} event - Submit event
+     */
+    function handleAddSubmit(event) {
+        event.preventDefault();
+
+        const name = elements.nameInput.value.trim();
+        if (!name) return;
+
+        const checked = elements.avatars.querySelector('[aria-checked="true"]');
+        const profile = createProfile(name, checked ? checked.textContent : AVATARS[0]);
+        saveToStorage();
+        select(profile.id);
+    }
+
+    /**
+     * Show the active player in the header
+     */
+    function updatePlayerDisplay() {
+        const profile = getActive();
+        if (!profile || !elements.toggle) return;
+
+        elements.toggleAvatar.textContent = profile.avatar;
+        elements.toggleName.textContent = profile.name;
+    }
+
+    // Public API
+    return {
+        init,
+        scopedKey,
+        getActive,
+        getAll,
+        select,
+        showPicker,
+        hidePicker
+    };
+})();
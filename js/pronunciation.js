@@ -0,0 +1,375 @@
+/* ========================================
+   Pronunciation Module - G/K Attempt Scoring
+   ======================================== */
+
+const Pronunciation = (function() {
+    'use strict';
+
+    // Sounds kids commonly swap in for the back-of-the-mouth K and G
+    // ("tangaroo" for "kangaroo", "do" for "go")
+    const FRONTING = {
+        k: 't',
+        g: 'd'
+    };
+
+    // How different a heard word may be and still count as "close"
+    const CLOSE_THRESHOLD = 0.34;
+
+    const RESULT_RANK = {
+        correct: 0,
+        substitution: 1,
+        close: 2,
+        unclear: 3,
+        silent: 4
+    };
+
+    // Catalogue keys for how to make each sound
+    const SOUND_CUES = {
+        k: 'pronunciation.cueK',
+        g: 'pronunciation.cueG'
+    };
+
+    /**
+     * Turn a spelled word into a rough list of sounds, so that
+     * "crocodile", "krokodile" and "qantas" compare sensibly
+     * @param {string} word - Word to convert
+     * @returns {Array<string>} One letter per sound
+     */
+    function toSounds(word) {
+        const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        const sounds = [];
+
+        for (let i = 0; i < letters.length; i++) {
+            const letter = letters[i];
+            const next = letters[i + 1] || '';
+
+            if (letter === 'c' && next === 'k') {
+                sounds.push('k');
+                i++;
+            } else if (letter === 'q') {
+                sounds.push('k');
+                if (next === 'u') {
+                    sounds.push('w');
+                    i++;
+                }
+            } else if (letter === 'c') {
+                sounds.push(next && 'eiy'.includes(next) ? 's' : 'k');
+            } else if (letter === 'x') {
+                sounds.push('k', 's');
+            } else if (letter === 'p' && next === 'h') {
+                sounds.push('f');
+                i++;
+            } else if (letter === 'g' && next && 'eiy'.includes(next)) {
+                sounds.push('j');
+            } else {
+                sounds.push(letter);
+            }
+        }
+
+        return collapseDoubles(sounds);
+    }
+
+    /**
+     * Split a phonetic spelling like "EES-tern brown SNAYK" into syllables.
+     * Words are separated by spaces and syllables by dashes; capitals
+     * mark the stressed syllables.
+     * @param {string} phonetic - Phonetic spelling from speechPractice
+     * @param {string} [targetSound] - 'k' or 'g' to mark syllables with that sound
+     * @returns {Array<Object>} Syllables as { text, word, stressed, target }
+     */
+    function splitPhonetic(phonetic, targetSound = '') {
+        const syllables = [];
+
+        phonetic.trim().split(/\s+/).forEach((word, wordIndex) => {
+            word.split('-').filter(Boolean).forEach(text => {
+                syllables.push({
+                    text,
+                    word: wordIndex,
+                    stressed: /[A-Z]/.test(text) && text === text.toUpperCase(),
+                    target: hasSound(text, targetSound)
+                });
+            });
+        });
+
+        return syllables;
+    }
+
+    /**
+     * Check a phonetic syllable contains a sound. A "g" in a final "ng"
+     * (KANG, DING) is part of the nasal sound, not a G.
+     * @param {string} syllable - Phonetic syllable
+     * @param {string} sound - 'k' or 'g'
+     * @returns {boolean}
+     */
+    function hasSound(syllable, sound) {
+        if (!sound) return false;
+
+        const letters = syllable.toLowerCase();
+        if (sound === 'g') {
+            return letters.replace(/ng$/, 'n').includes('g');
+        }
+        return letters.includes(sound);
+    }
+
+    /**
+     * Split text into lowercase words, without accents ("tiburón" -> "tiburon")
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
+     */
+    function toWords(text) {
+        return text.toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Collapse repeated sounds ("cassowary"), keeping long vowels ("roo")
+     * @param {Array<string>} sounds - Sounds to collapse
+     * @returns {Array<string>} Collapsed sounds
+     */
+    function collapseDoubles(sounds) {
+        return sounds.filter((sound, i) => sound !== sounds[i - 1] || sound === 'o' || sound === 'e');
+    }
+
+    /**
+     * Count the sound edits needed to turn one word into another
+     * @param {Array<string>} expected - Sounds of the target word
+     * @param {Array<string>} heard - Sounds of the heard word
+     * @returns {number} Edit distance
+     */
+    function distance(expected, heard) {
+        let previous = Array.from({ length: heard.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= expected.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= heard.length; j++) {
+                const cost = expected[i - 1] === heard[j - 1] ? 0 : 1;
+                row.push(Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost));
+            }
+            previous = row;
+        }
+
+        return previous[heard.length];
+    }
+
+    /**
+     * Find a back sound that was swapped for its front-of-mouth partner:
+     * if fronting one K or G in the target makes it closer to what was
+     * heard, that is the swap the child made
+     * @param {Array<string>} targetSounds - Sounds of the target word
+     * @param {Array<string>} heardSounds - Sounds of the heard word
+     * @returns {Object|null} { expected, heard } or null
+     */
+    function findFronting(targetSounds, heardSounds) {
+        const original = distance(targetSounds, heardSounds);
+
+        for (let i = 0; i < targetSounds.length; i++) {
+            const sound = targetSounds[i];
+            if (!FRONTING[sound]) continue;
+
+            const fronted = collapseDoubles([
+                ...targetSounds.slice(0, i),
+                FRONTING[sound],
+                ...targetSounds.slice(i + 1)
+            ]);
+
+            if (distance(fronted, heardSounds) < original) {
+                return { expected: sound, heard: FRONTING[sound] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The name the child is practising (the English one unless the
+     * player's language spells its own name out phonetically)
+     * @param {Object} animal - Animal data object
+     * @returns {string}
+     */
+    function getWord(animal) {
+        return (animal.speechPractice && animal.speechPractice.word) || animal.name;
+    }
+
+    /**
+     * Pick the words in an animal's name that carry the practice sound
+     * @param {Object} animal - Animal data object
+     * @returns {Array<string>} Target words
+     */
+    function getTargetWords(animal) {
+        const words = toWords(getWord(animal));
+        const sound = (animal.speechPractice && animal.speechPractice.targetSound || '').toLowerCase();
+        const withSound = words.filter(word => toSounds(word).includes(sound));
+        return withSound.length > 0 ? withSound : words;
+    }
+
+    /**
+     * Compare one target word against everything heard, allowing the
+     * recognizer to split a word up ("tanga roo")
+     * @param {string} target - Target word
+     * @param {Array<string>} heardWords - Words in the transcript
+     * @returns {Object} { target, heard, distance, score, fronting }
+     */
+    function matchWord(target, heardWords) {
+        const targetSounds = toSounds(target);
+        let best = null;
+
+        for (let start = 0; start < heardWords.length; start++) {
+            for (let length = 1; length <= 3 && start + length <= heardWords.length; length++) {
+                const heard = heardWords.slice(start, start + length).join('');
+                const heardSounds = toSounds(heard);
+                const edits = distance(targetSounds, heardSounds);
+                const score = edits / Math.max(targetSounds.length, 1);
+
+                if (!best || score < best.score) {
+                    best = { target, heard, heardSounds, distance: edits, score };
+                }
+            }
+        }
+
+        best.fronting = best.distance > 0 ? findFronting(targetSounds, best.heardSounds) : null;
+        return best;
+    }
+
+    /**
+     * How close typed text is to an animal's name, from 0 (exact) up.
+     * Any one word of the name will do, the start of a word is enough
+     * ("croc"), and spelling is compared by sound ("krokodile").
+     * @param {string} text - What was typed
+     * @param {Object} animal - Animal data object
+     * @returns {number} Score (lower is closer), Infinity if nothing was typed
+     */
+    function spellingScore(text, animal) {
+        const typedWords = toWords(text);
+        if (typedWords.length === 0) return Infinity;
+
+        let best = Infinity;
+        toWords(getWord(animal)).forEach(nameWord => {
+            if (nameWord.length < 3) return;
+
+            if (typedWords.some(word => word.length >= 4 && nameWord.startsWith(word))) {
+                best = 0;
+                return;
+            }
+            best = Math.min(best, matchWord(nameWord, typedWords).score);
+        });
+
+        return best;
+    }
+
+    /**
+     * Score one transcript against the animal's name
+     * @param {string} transcript - What the recognizer heard
+     * @param {Object} animal - Animal data object
+     * @returns {Object} Check result
+     */
+    function checkTranscript(transcript, animal) {
+        const heardWords = toWords(transcript);
+        if (heardWords.length === 0) {
+            return { result: 'silent', transcript };
+        }
+
+        const matches = getTargetWords(animal).map(target => matchWord(target, heardWords));
+
+        if (matches.every(match => match.distance === 0)) {
+            return { result: 'correct', transcript, word: matches[0].target };
+        }
+
+        // A swapped K or G matters more than how close the rest was
+        const swapped = matches.find(match => match.fronting && match.score <= CLOSE_THRESHOLD * 2);
+        if (swapped) {
+            return {
+                result: 'substitution',
+                transcript,
+                word: swapped.target,
+                heardWord: swapped.heard,
+                expected: swapped.fronting.expected,
+                heard: swapped.fronting.heard
+            };
+        }
+
+        const worst = Math.max(...matches.map(match => match.score));
+        return {
+            result: worst <= CLOSE_THRESHOLD ? 'close' : 'unclear',
+            transcript,
+            word: matches[0].target
+        };
+    }
+
+    /**
+     * Score a spoken attempt at an animal's name
+     * @param {Array<string>} transcripts - Recognizer alternatives, best first
+     * @param {Object} animal - Animal data object
+     * @returns {Object} { result, transcript, word, expected?, heard? }
+     *   result is 'correct', 'substitution', 'close', 'unclear' or 'silent'
+     */
+    function check(transcripts, animal) {
+        let best = { result: 'silent', transcript: '' };
+
+        transcripts.forEach(transcript => {
+            const attempt = checkTranscript(transcript, animal);
+            if (RESULT_RANK[attempt.result] < RESULT_RANK[best.result]) {
+                best = attempt;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Turn a check result into kid-friendly feedback
+     * @param {Object} checkResult - Result from check()
+     * @param {Object} animal - Animal data object
+     * @returns {Object} { text, success }
+     */
+    function getFeedback(checkResult, animal) {
+        const sound = (animal.speechPractice.targetSound || '').toUpperCase();
+
+        switch (checkResult.result) {
+            case 'correct':
+                return {
+                    text: I18n.t('pronunciation.correct', { name: getWord(animal), sound }),
+                    success: true
+                };
+            case 'substitution':
+                return {
+                    text: I18n.t('pronunciation.substitution', {
+                        heard: checkResult.heard.toUpperCase(),
+                        expected: checkResult.expected.toUpperCase()
+                    }) + ' ' + I18n.t(SOUND_CUES[checkResult.expected]),
+                    success: false
+                };
+            case 'close':
+                return {
+                    text: I18n.t('pronunciation.close'),
+                    success: false
+                };
+            case 'silent':
+                return {
+                    text: I18n.t('pronunciation.silent'),
+                    success: false
+                };
+            default:
+                return {
+                    text: I18n.t('pronunciation.unclear'),
+                    success: false
+                };
+        }
+    }
+
+    // Public API
+    return {
+        toSounds,
+        splitPhonetic,
+        spellingScore,
+        check,
+        getFeedback
+    };
+})();
+
+// Allow the validation script to use this module from node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pronunciation;
+}
@@ -0,0 +1,495 @@
+/* ========================================
+   Quiz Module - "Who am I?" Animal Quiz
+   ======================================== */
+
+/*
+ * Picks a mystery animal (mostly ones the player has collected) and
+ * reads out one clue at a time - stats first, then facts with the
+ * name hidden. Guessing with fewer clues earns more stars.
+ *
+ * Players in pre-reader mode pick from pictures; everyone else types
+ * the name, checked by sound so spelling doesn't have to be perfect.
+ */
+
+const Quiz = (function() {
+    'use strict';
+
+    const QUESTIONS_PER_QUIZ = 5;
+    const PICTURE_CHOICES = 4;
+
+    // Most questions are about animals the player has found
+    const COLLECTED_CHANCE = 0.75;
+
+    // Stars for a right answer after 1, 2, 3+ clues
+    const STARS_BY_CLUES = [3, 2, 1];
+
+    // How far off a typed name can be (see Pronunciation.spellingScore)
+    const SPELLING_THRESHOLD = 0.34;
+
+    let modal = null;
+    let releaseFocus = null;
+    let quiz = null;
+    let question = null;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the quiz module
+     */
+    function init() {
+        modal = document.getElementById('quiz-modal');
+        if (!modal) {
+            console.error('Quiz modal not found');
+            return;
+        }
+
+        elements.toggle = document.getElementById('quiz-toggle');
+        elements.stars = document.getElementById('quiz-stars');
+        elements.setup = document.getElementById('quiz-setup');
+        elements.setupQuestion = elements.setup.querySelector('.quiz__question');
+        elements.play = document.getElementById('quiz-play');
+        elements.progress = document.getElementById('quiz-progress');
+        elements.clues = document.getElementById('quiz-clues');
+        elements.choices = document.getElementById('quiz-choices');
+        elements.guess = document.getElementById('quiz-guess');
+        elements.guessInput = document.getElementById('quiz-guess-input');
+        elements.feedback = document.getElementById('quiz-feedback');
+        elements.reveal = document.getElementById('quiz-reveal');
+        elements.btnClue = document.getElementById('btn-quiz-clue');
+        elements.btnNext = document.getElementById('btn-quiz-next');
+
+        if (elements.toggle) {
+            elements.toggle.addEventListener('click', show);
+        }
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', hide);
+        });
+        modal.querySelectorAll('[data-quiz-filter]').forEach(button => {
+            button.addEventListener('click', () => start(button.dataset.quizFilter));
+        });
+        elements.guess.addEventListener('submit', handleGuessSubmit);
+        elements.btnClue.addEventListener('click', () => {
+            if (!giveClue()) finishQuestion(false);
+        });
+        elements.btnNext.addEventListener('click', nextQuestion);
+
+        console.log('Quiz module initialized');
+    }
+
+    /**
+     * Show the quiz, starting with the choice of animals
+     */
+    function show() {
+        showSetup();
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hide
+            });
+        }
+        const first = elements.setup.querySelector('button');
+        if (first) first.focus();
+
+        PreReader.prompt(I18n.t('quiz.setupQuestion'));
+    }
+
+    /**
+     * Hide the quiz
+     */
+    function hide() {
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+        quiz = null;
+        question = null;
+        if (Speech.isSpeaking()) Speech.stop();
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+    }
+
+    /**
+     * Show the choice of which animals to be quizzed on
+     */
+    function showSetup() {
+        updateStars();
+        elements.setupQuestion.textContent = I18n.t('quiz.setupQuestion');
+        elements.setup.hidden = false;
+        elements.play.hidden = true;
+    }
+
+    /**
+     * Start a quiz
+     * @param {string} filter - 'all', 'deadly' or 'dinosaur'
+     */
+    function start(filter) {
+        const pool = AnimalData.getByFilter(filter);
+        if (pool.length < 2) return;
+
+        quiz = {
+            pool,
+            asked: [],
+            number: 0,
+            stars: 0,
+            pictures: PreReader.isOn()
+        };
+
+        elements.setup.hidden = true;
+        elements.play.hidden = false;
+        nextQuestion();
+    }
+
+    /**
+     * Ask about the next mystery animal, or finish the quiz
+     */
+    function nextQuestion() {
+        if (!quiz) return;
+
+        if (quiz.number >= QUESTIONS_PER_QUIZ) {
+            finishQuiz();
+            return;
+        }
+
+        quiz.number++;
+        const animal = pickAnimal();
+        quiz.asked.push(animal.id);
+
+        question = {
+            animal,
+            clues: buildClues(animal),
+            given: 0,
+            done: false
+        };
+
+        elements.progress.textContent = I18n.t('quiz.progress', { number: quiz.number, total: QUESTIONS_PER_QUIZ });
+        elements.clues.innerHTML = '';
+        elements.feedback.textContent = '';
+        elements.reveal.innerHTML = '';
+        elements.reveal.hidden = true;
+        elements.btnClue.hidden = false;
+        elements.btnNext.hidden = true;
+
+        elements.guess.hidden = quiz.pictures;
+        elements.guessInput.value = '';
+        elements.choices.hidden = !quiz.pictures;
+        if (quiz.pictures) {
+            renderChoices(animal);
+        }
+
+        giveClue();
+
+        if (quiz.pictures) {
+            const first = elements.choices.querySelector('button');
+            if (first) first.focus();
+        } else {
+            elements.guessInput.focus();
+        }
+    }
+
+    /**
+     * Choose a mystery animal that hasn't come up yet in this quiz
+     * @returns {Object} Animal data object
+     */
+    function pickAnimal() {
+        let fresh = quiz.pool.filter(animal => !quiz.asked.includes(animal.id));
+        if (fresh.length === 0) {
+            quiz.asked = [];
+            fresh = quiz.pool;
+        }
+
+        const collected = fresh.filter(animal => Collection.isCollected(animal.id));
+        const from = collected.length > 0 && Math.random() < COLLECTED_CHANCE ? collected : fresh;
+        return from[Math.floor(Math.random() * from.length)];
+    }
+
+    /**
+     * Write the clues for an animal, hardest first
+     * @param {Object} animal - Animal data object
+     * @returns {Array<string>} Clues
+     */
+    function buildClues(animal) {
+        const { size, speed, dangerLevel } = animal.stats;
+
+        const clues = [
+            I18n.t('quiz.clueStats', { size, speed }),
+            I18n.t('quiz.clueDanger', {
+                danger: dangerLevel,
+                where: I18n.t(`quiz.where.${animal.habitat}`),
+                what: I18n.t(`quiz.what.${animal.category}`)
+            })
+        ];
+
+        shuffle(animal.facts).forEach(fact => {
+            clues.push(hideName(fact, animal));
+        });
+
+        return clues;
+    }
+
+    /**
+     * Hide the animal's name in a fact, including short forms ("crocs")
+     * @param {string} text - Fact text
+     * @param {Object} animal - Animal data object
+     * @returns {string} Fact without the name
+     */
+    function hideName(text, animal) {
+        const hiddenName = I18n.t('quiz.hiddenName');
+        const nameWords = animal.name.toLowerCase()
+            .split(/[^\p{L}]+/u)
+            .filter(word => word.length >= 3);
+
+        const hidden = text.replace(/\p{L}+/gu, word => isNameWord(word.toLowerCase(), nameWords) ? hiddenName : word);
+
+        // "Box mystery animal" -> one "mystery animal"
+        const repeats = new RegExp(`${hiddenName}(?:[\\s-]+${hiddenName})+`, 'g');
+        return hidden
+            .replace(repeats, hiddenName)
+            .replace(new RegExp(`^${hiddenName}`), capitalize(hiddenName));
+    }
+
+    /**
+     * Check if a word is part of the name, a plural of it or a short form
+     * @param {string} word - Lowercase word from a fact
+     * @param {Array<string>} nameWords - Lowercase words of the animal's name
+     * @returns {boolean}
+     */
+    function isNameWord(word, nameWords) {
+        const singular = word.replace(/ies$/, 'y').replace(/e?s$/, '');
+        return nameWords.some(name => word === name ||
+            singular === name ||
+            (word.startsWith(name) && word.length - name.length <= 2) ||
+            (singular.length >= 4 && name.startsWith(singular)));
+    }
+
+    /**
+     * Show and read the next clue
+     * @returns {boolean} False if there were no clues left
+     */
+    function giveClue() {
+        if (!question || question.done || question.given >= question.clues.length) {
+            return false;
+        }
+
+        const clue = question.clues[question.given];
+        question.given++;
+
+        const li = document.createElement('li');
+        li.className = 'quiz__clue';
+        li.textContent = clue;
+        elements.clues.appendChild(li);
+
+        elements.btnClue.querySelector('.btn__text').textContent = question.given < question.clues.length
+            ? I18n.t('quiz.anotherClue')
+            : I18n.t('quiz.showMe');
+
+        Speech.speak(I18n.t('quiz.clueSpoken', { number: question.given, clue }));
+        return true;
+    }
+
+    /**
+     * Show picture choices: the answer and a few others from the quiz
+     * @param {Object} animal - Mystery animal
+     */
+    function renderChoices(animal) {
+        const others = shuffle(quiz.pool.filter(a => a.id !== animal.id)).slice(0, PICTURE_CHOICES - 1);
+        const choices = shuffle([animal, ...others]);
+
+        elements.choices.innerHTML = '';
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quiz__choice';
+            button.setAttribute('aria-label', choice.name);
+            button.dataset.say = choice.name;
+
+            const img = document.createElement('img');
+            img.className = 'quiz__choice-image';
+            img.src = choice.image;
+            img.alt = '';
+            button.appendChild(img);
+
+            button.addEventListener('click', () => {
+                if (choice.id === animal.id) {
+                    finishQuestion(true);
+                } else {
+                    button.disabled = true;
+                    wrongGuess(choice.name);
+                }
+            });
+            elements.choices.appendChild(button);
+        });
+    }
+
+    /**
+     * Check a typed guess
+     * @param {Event} event - Submit event
+     */
+    function handleGuessSubmit(event) {
+        event.preventDefault();
+        if (!question || question.done) return;
+
+        const text = elements.guessInput.value.trim();
+        if (!text) return;
+
+        const guessed = findTypedAnimal(text);
+        if (guessed && guessed.id === question.animal.id) {
+            finishQuestion(true);
+        } else {
+            elements.guessInput.value = '';
+            wrongGuess(guessed ? guessed.name : text);
+        }
+    }
+
+    /**
+     * Work out which animal a typed name means
+     * @param {string} text - What was typed
+     * @returns {Object|null} Closest animal, if it's close enough
+     */
+    function findTypedAnimal(text) {
+        let best = null;
+        let bestScore = Infinity;
+
+        AnimalData.getAll().forEach(animal => {
+            const score = Pronunciation.spellingScore(text, animal);
+            if (score < bestScore) {
+                best = animal;
+                bestScore = score;
+            }
+        });
+
+        return bestScore <= SPELLING_THRESHOLD ? best : null;
+    }
+
+    /**
+     * Give another clue after a wrong guess, or the answer if there are none left
+     * @param {string} guess - What was guessed
+     */
+    function wrongGuess(guess) {
+        Sound.play('buzz');
+
+        if (question.given >= question.clues.length) {
+            finishQuestion(false);
+            return;
+        }
+
+        const message = I18n.t('quiz.wrong', { guess });
+        elements.feedback.textContent = message;
+        Speech.speak(message, {
+            onEnd: () => giveClue()
+        });
+    }
+
+    /**
+     * Show the answer and award stars
+     * @param {boolean} correct - Whether the child found the animal
+     */
+    function finishQuestion(correct) {
+        if (!question || question.done) return;
+        question.done = true;
+
+        const animal = question.animal;
+        const stars = correct
+            ? STARS_BY_CLUES[Math.min(question.given, STARS_BY_CLUES.length) - 1]
+            : 0;
+
+        quiz.stars += stars;
+        const scores = SaveData.get().quiz;
+        scores.stars += stars;
+        scores.played++;
+        if (correct) scores.correct++;
+        SaveData.save();
+        updateStars();
+        document.dispatchEvent(new CustomEvent('quiz:answered', { detail: { animalId: animal.id, correct, stars } }));
+
+        const message = correct
+            ? I18n.t('quiz.correct', {
+                name: animal.name,
+                clues: I18n.t('quiz.clueCount', { count: question.given }),
+                stars: I18n.t('quiz.starCount', { count: stars })
+            })
+            : I18n.t('quiz.answer', { name: animal.name });
+
+        elements.feedback.textContent = message;
+        elements.reveal.innerHTML = '';
+        const img = document.createElement('img');
+        img.className = 'quiz__reveal-image';
+        img.src = animal.image;
+        img.alt = animal.name;
+        const name = document.createElement('span');
+        name.className = 'quiz__reveal-name';
+        name.textContent = `${animal.name} ${'⭐'.repeat(stars)}`;
+        elements.reveal.append(img, name);
+        elements.reveal.hidden = false;
+
+        elements.choices.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        elements.btnClue.hidden = true;
+        elements.btnNext.hidden = false;
+        elements.btnNext.querySelector('.btn__text').textContent = quiz.number >= QUESTIONS_PER_QUIZ
+            ? I18n.t('quiz.seeStars')
+            : I18n.t('quiz.nextAnimal');
+        elements.btnNext.focus();
+
+        Speech.speak(message);
+    }
+
+    /**
+     * Show the quiz total and go back to the start
+     */
+    function finishQuiz() {
+        const message = I18n.t('quiz.finished', { stars: I18n.t('quiz.starCount', { count: quiz.stars }) });
+        quiz = null;
+        question = null;
+
+        showSetup();
+        elements.setupQuestion.textContent = `${message} ${I18n.t('quiz.playAgain')}`;
+        const first = elements.setup.querySelector('button');
+        if (first) first.focus();
+
+        Speech.speak(message);
+    }
+
+    /**
+     * Show the player's total stars
+     */
+    function updateStars() {
+        elements.stars.textContent = SaveData.get().quiz.stars;
+    }
+
+    /**
+     * Shuffle a list into a new array
+     * @param {Array} list - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    function shuffle(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Capitalize first letter
+     * @param {string} str - String to capitalize
+     * @returns {string} Capitalized string
+     */
+    function capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        hide
+    };
+})();
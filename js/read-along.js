@@ -0,0 +1,169 @@
+/* ========================================
+   Read Along Module - Karaoke Highlighting
+   ======================================== */
+
+/*
+ * Reads a list of parts aloud through Speech and lights up each word
+ * on screen as it is said. A part is:
+ *
+ *   { text, prefix, element }
+ *
+ * `text` is spoken and matches the element's text word for word;
+ * `prefix` is spoken first but isn't on screen (e.g. "Fact 1: ").
+ * Parts without an element are spoken with nothing highlighted.
+ */
+
+const ReadAlong = (function() {
+    'use strict';
+
+    const SEPARATOR = '. ';
+
+    let reading = null;
+
+    /**
+     * Read parts aloud with word highlighting
+     * @param {Array<Object>} parts - Parts to read
+     * @param {Object} [options] - Passed on to Speech.speak (animal, clip, rate...)
+     */
+    function read(parts, options = {}) {
+        const current = buildReading(parts);
+        reading = current;
+
+        Speech.speak(getText(parts), {
+            ...options,
+            onWord(charIndex) {
+                if (reading === current) highlight(current, charIndex);
+            },
+            onEnd() {
+                clear(current);
+                if (options.onEnd) options.onEnd();
+            },
+            onCancel() {
+                clear(current);
+            }
+        });
+    }
+
+    /**
+     * Join parts into the text that is spoken
+     * @param {Array<Object>} parts - Parts to read
+     * @returns {string} Spoken text
+     */
+    function getText(parts) {
+        return parts.map(part => (part.prefix || '') + part.text).join(SEPARATOR);
+    }
+
+    /**
+     * Work out where each on-screen word sits in the spoken text
+     * @param {Array<Object>} parts - Parts to read
+     * @returns {Object} Reading as { sections, activeSection, activeWord }
+     */
+    function buildReading(parts) {
+        const sections = [];
+        let offset = 0;
+
+        parts.forEach(part => {
+            const prefix = part.prefix || '';
+            const start = offset;
+            const end = start + prefix.length + part.text.length;
+
+            if (part.element) {
+                const textStart = start + prefix.length;
+                const words = wrapWords(part.element, part.text).map(word => ({
+                    start: textStart + word.start,
+                    span: word.span
+                }));
+                sections.push({ start, end, element: part.element, words });
+            }
+
+            offset = end + SEPARATOR.length;
+        });
+
+        return { sections, activeSection: null, activeWord: null };
+    }
+
+    /**
+     * Replace an element's text with one span per word
+     * @param {HTMLElement} element - Element showing the text
+     * @param {string} text - Text to show
+     * @returns {Array<Object>} Words as { start, span }
+     */
+    function wrapWords(element, text) {
+        const words = [];
+        const fragment = document.createDocumentFragment();
+        const pattern = /(\s+)|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[1]) {
+                fragment.appendChild(document.createTextNode(match[1]));
+                continue;
+            }
+
+            const span = document.createElement('span');
+            span.className = 'read-along__word';
+            span.textContent = match[2];
+            fragment.appendChild(span);
+            words.push({ start: match.index, span });
+        }
+
+        element.textContent = '';
+        element.appendChild(fragment);
+        return words;
+    }
+
+    /**
+     * Highlight the word being spoken
+     * @param {Object} current - Reading from buildReading()
+     * @param {number} charIndex - Position in the spoken text
+     */
+    function highlight(current, charIndex) {
+        const section = current.sections.find(s => charIndex >= s.start && charIndex < s.end) || null;
+
+        let word = null;
+        if (section) {
+            // Last word starting at or before this point (none during a prefix)
+            section.words.forEach(w => {
+                if (w.start <= charIndex) word = w;
+            });
+        }
+
+        if (section !== current.activeSection) {
+            if (current.activeSection) {
+                current.activeSection.element.classList.remove('read-along--active');
+            }
+            if (section) {
+                section.element.classList.add('read-along--active');
+                section.element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+            current.activeSection = section;
+        }
+
+        if (word !== current.activeWord) {
+            if (current.activeWord) {
+                current.activeWord.span.classList.remove('read-along__word--active');
+            }
+            if (word) {
+                word.span.classList.add('read-along__word--active');
+            }
+            current.activeWord = word;
+        }
+    }
+
+    /**
+     * Remove a reading's highlights
+     * @param {Object} current - Reading from buildReading()
+     */
+    function clear(current) {
+        highlight(current, -1);
+        if (reading === current) {
+            reading = null;
+        }
+    }
+
+    // Public API
+    return {
+        read,
+        getText
+    };
+})();
@@ -0,0 +1,228 @@
+/* ========================================
+   Recognition Module - Speech-to-Text Engines
+   ======================================== */
+
+/*
+ * Every engine has the same small shape so the practice panel never
+ * talks to the browser API directly:
+ *
+ *   {
+ *     name: string,
+ *     isSupported(): boolean,
+ *     listen(options): Promise<string[]>,  // transcript alternatives, best first
+ *     stop(): void
+ *   }
+ *
+ * listen() resolves with an empty array when nothing was heard and
+ * rejects with an Error carrying a `reason` ('denied', 'no-microphone',
+ * 'unavailable') when listening is impossible.
+ */
+
+const Recognition = (function() {
+    'use strict';
+
+    const MAX_ALTERNATIVES = 5;
+
+    let engine = null;
+
+    /**
+     * Initialize the recognition module.
+     * Add ?fakeSpeech=tangaroo,kangaroo to the URL to script what the
+     * "microphone" hears, one comma-separated answer per attempt.
+     */
+    function init() {
+        const fakeSpeech = new URLSearchParams(window.location.search).get('fakeSpeech');
+
+        if (fakeSpeech !== null) {
+            engine = createScriptedEngine(fakeSpeech.split(','));
+            console.log('Recognition module initialized - scripted fake engine');
+        } else {
+            engine = createWebSpeechEngine();
+            console.log(`Recognition module initialized - Web Speech API ${engine.isSupported() ? 'supported' : 'not supported'}`);
+        }
+    }
+
+    /**
+     * Create an engine backed by the browser SpeechRecognition API
+     * @returns {Object} Recognition engine
+     */
+    function createWebSpeechEngine() {
+        const SpeechRecognitionApi = window.SpeechRecognition || window.webkitSpeechRecognition;
+        let recognizer = null;
+
+        return {
+            name: 'web-speech',
+
+            isSupported() {
+                return !!SpeechRecognitionApi;
+            },
+
+            listen(options = {}) {
+                if (!SpeechRecognitionApi) {
+                    return Promise.reject(createError('unavailable', 'SpeechRecognition not supported'));
+                }
+
+                return new Promise((resolve, reject) => {
+                    let transcripts = [];
+
+                    recognizer = new SpeechRecognitionApi();
+                    recognizer.lang = options.lang || I18n.getSpeechLang();
+                    recognizer.interimResults = false;
+                    recognizer.continuous = false;
+                    recognizer.maxAlternatives = MAX_ALTERNATIVES;
+
+                    recognizer.onresult = (event) => {
+                        const result = event.results[0];
+                        transcripts = Array.from(result).map(alt => alt.transcript);
+                    };
+
+                    recognizer.onerror = (event) => {
+                        // No speech is a normal outcome for shy kids, not a failure
+                        if (event.error === 'no-speech' || event.error === 'aborted') return;
+
+                        const reason = {
+                            'not-allowed': 'denied',
+                            'service-not-allowed': 'denied',
+                            'audio-capture': 'no-microphone'
+                        }[event.error] || 'unavailable';
+
+                        recognizer = null;
+                        reject(createError(reason, `Speech recognition error: ${event.error}`));
+                    };
+
+                    recognizer.onend = () => {
+                        recognizer = null;
+                        resolve(transcripts);
+                    };
+
+                    recognizer.start();
+                });
+            },
+
+            stop() {
+                if (recognizer) {
+                    recognizer.stop();
+                }
+            }
+        };
+    }
+
+    /**
+     * Create a fake engine that "hears" scripted answers in order.
+     * Each script entry is a transcript, an array of alternatives,
+     * or an Error to reject with.
+     * @param {Array} script - Answers to give, one per listen() call
+     * @param {Object} options - Fake engine options
+     * @param {number} [options.delay=300] - Milliseconds before answering
+     * @returns {Object} Recognition engine
+     */
+    function createScriptedEngine(script, options = {}) {
+        const queue = [...script];
+        const delay = options.delay === undefined ? 300 : options.delay;
+        let pending = null;
+
+        return {
+            name: 'scripted',
+
+            isSupported() {
+                return true;
+            },
+
+            listen() {
+                const next = queue.length > 0 ? queue.shift() : [];
+
+                return new Promise((resolve, reject) => {
+                    const answer = () => {
+                        pending = null;
+                        if (next instanceof Error) {
+                            reject(next);
+                        } else {
+                            resolve([].concat(next).filter(Boolean));
+                        }
+                    };
+                    pending = { timer: setTimeout(answer, delay), answer };
+                });
+            },
+
+            stop() {
+                // Answer straight away, like a real engine finishing early
+                if (pending) {
+                    clearTimeout(pending.timer);
+                    pending.answer();
+                }
+            },
+
+            remaining() {
+                return queue.length;
+            }
+        };
+    }
+
+    /**
+     * Swap the active engine (e.g. for a scripted fake)
+     * @param {Object} newEngine - Recognition engine
+     */
+    function setEngine(newEngine) {
+        if (engine) engine.stop();
+        engine = newEngine;
+    }
+
+    /**
+     * Get the active engine
+     * @returns {Object|null} Recognition engine
+     */
+    function getEngine() {
+        return engine;
+    }
+
+    /**
+     * Check if speech recognition is available
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return !!engine && engine.isSupported();
+    }
+
+    /**
+     * Listen for one spoken attempt
+     * @param {Object} options - Options passed to the engine (e.g. lang)
+     * @returns {Promise<string[]>} Transcript alternatives, best first
+     */
+    function listen(options = {}) {
+        if (!engine) {
+            return Promise.reject(createError('unavailable', 'Recognition not initialized'));
+        }
+        return engine.listen(options);
+    }
+
+    /**
+     * Stop listening early
+     */
+    function stop() {
+        if (engine) engine.stop();
+    }
+
+    /**
+     * Create an error with a reason the UI can explain to a child
+     * @param {string} reason - 'denied', 'no-microphone' or 'unavailable'
+     * @param {string} message - Technical message for the console
+     * @returns {Error}
+     */
+    function createError(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+
+    // Public API
+    return {
+        init,
+        createWebSpeechEngine,
+        createScriptedEngine,
+        setEngine,
+        getEngine,
+        isSupported,
+        listen,
+        stop
+    };
+})();
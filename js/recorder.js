@@ -0,0 +1,178 @@
+/* ========================================
+   Recorder Module - Microphone Capture
+   ======================================== */
+
+const Recorder = (function() {
+    'use strict';
+
+    // Keep clips short and small so several fit in localStorage
+    const MAX_DURATION_MS = 5000;
+    const AUDIO_BITS_PER_SECOND = 32000;
+    const MIME_TYPES = [
+        'audio/webm;codecs=opus',
+        'audio/ogg;codecs=opus',
+        'audio/mp4',
+        'audio/webm'
+    ];
+
+    let mediaRecorder = null;
+    let stream = null;
+    let chunks = [];
+    let stopTimer = null;
+    let pendingStop = null;
+
+    // Bumped by stop() and cancel() so a start still waiting for
+    // microphone permission knows not to begin recording
+    let startRequest = 0;
+
+    /**
+     * Check if microphone recording is available in this browser
+     * @returns {boolean} Whether recording is supported
+     */
+    function isSupported() {
+        return !!(navigator.mediaDevices &&
+            navigator.mediaDevices.getUserMedia &&
+            window.MediaRecorder);
+    }
+
+    /**
+     * Check if a recording is in progress
+     * @returns {boolean}
+     */
+    function isRecording() {
+        return !!mediaRecorder && mediaRecorder.state === 'recording';
+    }
+
+    /**
+     * Pick the first audio format this browser can record
+     * @returns {string} MIME type, or empty string for the browser default
+     */
+    function getMimeType() {
+        if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+        return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Start recording from the microphone.
+     * Recording stops by itself after MAX_DURATION_MS.
+     * @param {Object} options - Recording options
+     * @param {Function} [options.onAutoStop] - Receives the audio Blob if the time limit is reached
+     * @returns {Promise<boolean>} Whether recording started (false if it was
+     *     stopped or cancelled before the microphone was ready)
+     */
+    async function start(options = {}) {
+        if (!isSupported()) {
+            throw createError('unsupported', 'Recording is not supported in this browser');
+        }
+        if (isRecording()) return false;
+
+        const request = ++startRequest;
+        let microphone;
+        try {
+            microphone = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            throw createError(
+                error.name === 'NotAllowedError' || error.name === 'SecurityError'
+                    ? 'denied'
+                    : 'no-microphone',
+                error.message
+            );
+        }
+
+        // Stopped or cancelled while the permission prompt was open
+        if (request !== startRequest) {
+            microphone.getTracks().forEach(track => track.stop());
+            return false;
+        }
+        stream = microphone;
+
+        const mimeType = getMimeType();
+        const recorderOptions = { audioBitsPerSecond: AUDIO_BITS_PER_SECOND };
+        if (mimeType) recorderOptions.mimeType = mimeType;
+
+        chunks = [];
+        mediaRecorder = new MediaRecorder(stream, recorderOptions);
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        mediaRecorder.start();
+
+        stopTimer = setTimeout(() => {
+            stop().then(blob => {
+                if (options.onAutoStop) options.onAutoStop(blob);
+            });
+        }, MAX_DURATION_MS);
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob|null>} The recorded audio, or null if nothing was recording
+     */
+    function stop() {
+        startRequest++;
+        if (pendingStop) return pendingStop;
+        if (!isRecording()) return Promise.resolve(null);
+
+        clearTimeout(stopTimer);
+
+        pendingStop = new Promise(resolve => {
+            mediaRecorder.onstop = () => {
+                const blob = new Blob(chunks, { type: mediaRecorder.mimeType || 'audio/webm' });
+                releaseMicrophone();
+                pendingStop = null;
+                resolve(blob.size > 0 ? blob : null);
+            };
+            mediaRecorder.stop();
+        });
+
+        return pendingStop;
+    }
+
+    /**
+     * Stop recording and throw the audio away
+     */
+    function cancel() {
+        startRequest++;
+        if (isRecording()) {
+            stop();
+        } else {
+            releaseMicrophone();
+        }
+    }
+
+    /**
+     * Turn off the microphone so the browser's recording indicator goes away
+     */
+    function releaseMicrophone() {
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        stream = null;
+        mediaRecorder = null;
+        chunks = [];
+    }
+
+    /**
+     * Create an error with a reason the UI can explain to a child
+     * @param {string} reason - 'unsupported', 'denied' or 'no-microphone'
+     * @param {string} message - Technical message for the console
+     * @returns {Error}
+     */
+    function createError(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+
+    // Public API
+    return {
+        isSupported,
+        isRecording,
+        start,
+        stop,
+        cancel
+    };
+})();
@@ -0,0 +1,344 @@
+/* ========================================
+   Save Module - Versioned Player Save Data
+   ======================================== */
+
+/*
+ * Each player has one save document in localStorage:
+ *
+ *   {
+ *     version: 5,
+ *     savedAt: 1734200000000,
+ *     collection: { 'platypus': { collectedAt: 1734200000000 } },
+ *     practice: { 'dingo': { attempts: 4, correct: 2, lastResult: 'correct', lastPracticedAt: ... } },
+ *     listening: { 'k-t': { attempts: 12, correct: 9, level: 2, recent: [true, false, ...], lastPlayedAt: ... } },
+ *     quiz: { stars: 14, played: 6, correct: 5 },
+ *     achievements: { 'first-find': { earnedAt: 1734200000000 } },
+ *     exploration: { revealed: [97, 98, 129] },
+ *     settings: { ... }
+ *   }
+ *
+ * Older formats are upgraded one version at a time through MIGRATIONS.
+ * Anything that cannot be read is copied to a recovery slot instead of
+ * being thrown away.
+ */
+
+const SaveData = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'animal_adventure_save';
+    const RECOVERY_KEY = 'animal_adventure_recovery';
+    const MAX_RECOVERY_ENTRIES = 5;
+    const CURRENT_VERSION = 5;
+
+    // Before versioned saves, the collection was a bare array of ids here
+    const LEGACY_COLLECTION_KEY = 'animal_adventure_collection';
+
+    // MIGRATIONS[n] upgrades a version n document to version n + 1
+    const MIGRATIONS = [
+        // 0 -> 1: bare array of collected ids becomes a full document
+        function(ids) {
+            const collection = {};
+            ids.forEach(id => {
+                if (typeof id === 'string') {
+                    collection[id] = { collectedAt: null };
+                }
+            });
+            return {
+                version: 1,
+                collection,
+                practice: {},
+                settings: {}
+            };
+        },
+
+        // 1 -> 2: minimal-pair listening game scores, per sound pair
+        function(data) {
+            return { ...data, version: 2, listening: {} };
+        },
+
+        // 2 -> 3: "Who am I?" quiz stars
+        function(data) {
+            return { ...data, version: 3, quiz: { stars: 0, played: 0, correct: 0 } };
+        },
+
+        // 3 -> 4: earned badges
+        function(data) {
+            return { ...data, version: 4, achievements: {} };
+        },
+
+        // 4 -> 5: map areas cleared of fog
+        function(data) {
+            return { ...data, version: 5, exploration: { revealed: [] } };
+        }
+    ];
+
+    let doc = createEmpty();
+
+    // Set while unreadable save data could not be copied to recovery, so it
+    // stays where it is and this session plays from memory instead
+    let keepingUnreadable = false;
+
+    /**
+     * Create an empty save document
+     * @returns {Object} Save document
+     */
+    function createEmpty() {
+        return {
+            version: CURRENT_VERSION,
+            collection: {},
+            practice: {},
+            listening: {},
+            quiz: { stars: 0, played: 0, correct: 0 },
+            achievements: {},
+            exploration: { revealed: [] },
+            settings: {}
+        };
+    }
+
+    /**
+     * Load the active player's save document
+     * @returns {Object} Save document
+     */
+    function load() {
+        const key = Profiles.scopedKey(STORAGE_KEY);
+        const legacyKey = Profiles.scopedKey(LEGACY_COLLECTION_KEY);
+        let raw = null;
+        keepingUnreadable = false;
+
+        try {
+            raw = localStorage.getItem(key);
+
+            if (raw === null) {
+                raw = localStorage.getItem(legacyKey);
+                if (raw !== null) {
+                    // Upgrade the old array format in place
+                    doc = parse(raw, legacyKey);
+                    if (keepingUnreadable) return doc;
+
+                    save();
+                    localStorage.removeItem(legacyKey);
+                    console.log('Upgraded saved collection to version', CURRENT_VERSION);
+                    return doc;
+                }
+            }
+        } catch (error) {
+            console.error('Error reading save data:', error);
+        }
+
+        doc = raw === null ? createEmpty() : parse(raw, key);
+        return doc;
+    }
+
+    /**
+     * Read another player's save document without loading it
+     * @param {string} profileId - Profile ID
+     * @returns {Object} Save document (empty if missing or unreadable)
+     */
+    function peek(profileId) {
+        try {
+            const raw = localStorage.getItem(Profiles.scopedKey(STORAGE_KEY, profileId)) ||
+                localStorage.getItem(Profiles.scopedKey(LEGACY_COLLECTION_KEY, profileId));
+
+            // Unreadable data is sent to recovery when that player next loads
+            return raw === null ? createEmpty() : migrate(JSON.parse(raw));
+        } catch (error) {
+            console.error(`Error reading save data for ${profileId}:`, error);
+            return createEmpty();
+        }
+    }
+
+    /**
+     * Parse and upgrade saved data, sending anything unreadable to recovery
+     * @param {string} raw - Raw string from localStorage
+     * @param {string} key - Key the data came from
+     * @returns {Object} Save document
+     */
+    function parse(raw, key) {
+        try {
+            return migrate(JSON.parse(raw));
+        } catch (error) {
+            if (!addRecoveryEntry(key, raw, error)) {
+                console.error(`Save data in ${key} could not be read or moved to recovery - leaving it in place:`, error);
+                keepingUnreadable = true;
+                return createEmpty();
+            }
+            console.error(`Save data in ${key} could not be read - moved to recovery:`, error);
+
+            // Write over it so the same data is not sent to recovery on every load
+            doc = createEmpty();
+            save();
+            return doc;
+        }
+    }
+
+    /**
+     * Upgrade saved data of any known version to the current version
+     * @param {*} data - Parsed save data
+     * @returns {Object} Current-version save document
+     * @throws {Error} If the data is not a save document this app understands
+     */
+    function migrate(data) {
+        let version = getVersion(data);
+
+        if (version > CURRENT_VERSION) {
+            throw new Error(`Save version ${version} is newer than this app (${CURRENT_VERSION})`);
+        }
+
+        while (version < CURRENT_VERSION) {
+            data = MIGRATIONS[version](data);
+            version = data.version;
+        }
+
+        validate(data);
+        return data;
+    }
+
+    /**
+     * Work out which version a piece of save data is
+     * @param {*} data - Parsed save data
+     * @returns {number} Version number
+     */
+    function getVersion(data) {
+        if (Array.isArray(data)) return 0;
+        if (isObject(data) && Number.isInteger(data.version) && data.version > 0) {
+            return data.version;
+        }
+        throw new Error('Unrecognised save format');
+    }
+
+    /**
+     * Check a current-version document has the expected shape
+     * @param {Object} data - Save document
+     * @throws {Error} If a section is missing or the wrong type
+     */
+    function validate(data) {
+        ['collection', 'practice', 'listening', 'quiz', 'achievements', 'exploration', 'settings'].forEach(section => {
+            if (!isObject(data[section])) {
+                throw new Error(`Save data is missing its ${section}`);
+            }
+        });
+
+        if (!Array.isArray(data.exploration.revealed)) {
+            throw new Error('Save data is missing its revealed map areas');
+        }
+    }
+
+    /**
+     * Check for a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Save the active player's document to localStorage (skipped while
+     * unreadable data that could not go to recovery is being kept)
+     */
+    function save() {
+        doc.savedAt = Date.now();
+        if (keepingUnreadable) return;
+
+        try {
+            localStorage.setItem(Profiles.scopedKey(STORAGE_KEY), JSON.stringify(doc));
+        } catch (error) {
+            console.error('Error saving game:', error);
+        }
+    }
+
+    /**
+     * Get the active player's save document
+     * @returns {Object} Save document
+     */
+    function get() {
+        return doc;
+    }
+
+    /**
+     * Replace the active player's save document
+     * @param {Object} newDoc - Current-version save document
+     */
+    function replace(newDoc) {
+        validate(newDoc);
+        doc = newDoc;
+        keepingUnreadable = false;
+        save();
+    }
+
+    /**
+     * Read a setting for the active player
+     * @param {string} name - Setting name
+     * @param {*} defaultValue - Value to use if the setting was never saved
+     * @returns {*} Setting value
+     */
+    function getSetting(name, defaultValue) {
+        return name in doc.settings ? doc.settings[name] : defaultValue;
+    }
+
+    /**
+     * Save a setting for the active player
+     * @param {string} name - Setting name
+     * @param {*} value - Setting value
+     */
+    function setSetting(name, value) {
+        doc.settings[name] = value;
+        save();
+    }
+
+    /**
+     * Keep a copy of unreadable save data so it can be rescued later
+     * @param {string} key - Key the data came from
+     * @param {string} raw - Raw string that failed to load
+     * @param {Error} error - Why it failed
+     * @returns {boolean} Whether the copy is in recovery
+     */
+    function addRecoveryEntry(key, raw, error) {
+        const entries = getRecovery();
+        if (entries.some(entry => entry.key === key && entry.raw === raw)) return true;
+
+        entries.push({
+            key,
+            raw,
+            error: error.message,
+            failedAt: Date.now()
+        });
+
+        try {
+            localStorage.setItem(RECOVERY_KEY, JSON.stringify(entries.slice(-MAX_RECOVERY_ENTRIES)));
+            return true;
+        } catch (storageError) {
+            console.error('Error saving recovery data:', storageError);
+            return false;
+        }
+    }
+
+    /**
+     * Get saved data that could not be loaded, oldest first
+     * @returns {Array} Recovery entries { key, raw, error, failedAt }
+     */
+    function getRecovery() {
+        try {
+            const saved = localStorage.getItem(RECOVERY_KEY);
+            const entries = saved ? JSON.parse(saved) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Error reading recovery data:', error);
+            return [];
+        }
+    }
+
+    // Public API
+    return {
+        CURRENT_VERSION,
+        load,
+        peek,
+        save,
+        get,
+        replace,
+        migrate,
+        getSetting,
+        setSetting,
+        getRecovery
+    };
+})();
@@ -0,0 +1,190 @@
+/* ========================================
+   Settings Module - Grown-up Settings Screen
+   ======================================== */
+
+/*
+ * Per-player settings behind a simple grown-up check (a sum young
+ * children can't answer yet). Each control in the panel names its
+ * setting with data-setting; checkboxes save true/false and other
+ * inputs save their value.
+ */
+
+const Settings = (function() {
+    'use strict';
+
+    let modal = null;
+    let onChange = null;
+    let releaseFocus = null;
+    let gateAnswer = null;
+
+    // DOM element references
+    const elements = {};
+
+    /**
+     * Initialize the settings module
+     * @param {Function} changeHandler - Called with (name, value) when a setting changes
+     */
+    function init(changeHandler) {
+        onChange = changeHandler;
+
+        modal = document.getElementById('settings-modal');
+        if (!modal) {
+            console.error('Settings modal not found');
+            return;
+        }
+
+        elements.toggle = document.getElementById('settings-toggle');
+        elements.gate = document.getElementById('settings-gate');
+        elements.gateQuestion = document.getElementById('settings-gate-question');
+        elements.gateInput = document.getElementById('settings-gate-answer');
+        elements.gateError = document.getElementById('settings-gate-error');
+        elements.panel = document.getElementById('settings-panel');
+        elements.player = document.getElementById('settings-player');
+        elements.language = document.getElementById('settings-language');
+        elements.controls = Array.from(modal.querySelectorAll('[data-setting]'));
+
+        if (elements.language) {
+            renderLanguages();
+        }
+
+        if (elements.toggle) {
+            elements.toggle.addEventListener('click', show);
+        }
+        modal.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', hide);
+        });
+        elements.gate.addEventListener('submit', handleGateSubmit);
+        elements.controls.forEach(control => {
+            control.addEventListener('change', () => handleControlChange(control));
+        });
+
+        console.log('Settings module initialized');
+    }
+
+    /**
+     * List the languages, each in its own words
+     */
+    function renderLanguages() {
+        I18n.getLocales().forEach(({ code, label }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = label;
+            option.lang = code;
+            elements.language.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the settings screen, starting with the grown-up check
+     */
+    function show() {
+        showGate();
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+
+        if (!releaseFocus) {
+            releaseFocus = A11y.trapFocus(modal.querySelector('.modal__content'), {
+                onEscape: hide
+            });
+        }
+        elements.gateInput.focus();
+    }
+
+    /**
+     * Hide the settings screen
+     */
+    function hide() {
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+
+        if (releaseFocus) {
+            const release = releaseFocus;
+            releaseFocus = null;
+            release();
+        }
+    }
+
+    /**
+     * Ask a new grown-up question
+     */
+    function showGate() {
+        const a = 11 + Math.floor(Math.random() * 9);
+        const b = 6 + Math.floor(Math.random() * 4);
+        gateAnswer = a + b;
+
+        elements.gateQuestion.textContent = `${a} + ${b}`;
+        elements.gateInput.value = '';
+        elements.gateError.textContent = '';
+        elements.gate.hidden = false;
+        elements.panel.hidden = true;
+    }
+
+    /**
+     * Check the grown-up answer and open the settings
+     * @param {Event} event - Submit event
+     */
+    function handleGateSubmit(event) {
+        event.preventDefault();
+
+        if (Number(elements.gateInput.value.trim()) !== gateAnswer) {
+            showGate();
+            elements.gateError.textContent = I18n.t('settings.gateWrong');
+            elements.gateInput.focus();
+            return;
+        }
+
+        showPanel();
+    }
+
+    /**
+     * Show the active player's settings
+     */
+    function showPanel() {
+        const profile = Profiles.getActive();
+        elements.player.textContent = I18n.t('settings.player', { name: profile ? profile.name : I18n.t('settings.thisPlayer') });
+        refresh();
+
+        elements.gate.hidden = true;
+        elements.panel.hidden = false;
+
+        const first = A11y.getFocusable(elements.panel)[0];
+        if (first) first.focus();
+    }
+
+    /**
+     * Show the saved value in every control (e.g. after a change is undone)
+     */
+    function refresh() {
+        elements.controls.forEach(control => {
+            const name = control.dataset.setting;
+            if (control.type === 'checkbox') {
+                control.checked = SaveData.getSetting(name, control.defaultChecked) === true;
+            } else {
+                control.value = SaveData.getSetting(name, control.dataset.default);
+            }
+        });
+    }
+
+    /**
+     * Save a changed setting
+     * @param {HTMLInputElement|HTMLSelectElement} control - Changed control
+     */
+    function handleControlChange(control) {
+        const name = control.dataset.setting;
+        const value = control.type === 'checkbox' ? control.checked : control.value;
+
+        SaveData.setSetting(name, value);
+        if (onChange) onChange(name, value);
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        hide,
+        refresh
+    };
+})();
@@ -0,0 +1,258 @@
+/* ========================================
+   Sound Module - Synthesised Sound Effects
+   ======================================== */
+
+/*
+ * Every effect is built from oscillators and noise with the Web Audio
+ * API, so there are no sound files to download or cache:
+ *
+ *   play('pop')                          a marker tapped or found
+ *   play('collect', { rarity: 'rare' })  more notes for rarer animals,
+ *                                        the fanfare for legendary ones
+ *   play('fanfare')                      a whole group collected
+ *   play('pageTurn')                     the gallery opening
+ *   play('buzz')                         a wrong quiz guess
+ *
+ * Effects run through a ducking gain, turned down while Speech is
+ * talking (it sends 'speech:started' and 'speech:ended'), then a master
+ * gain set from the player's volume and mute settings.
+ */
+
+const Sound = (function() {
+    'use strict';
+
+    const VOLUME_SETTING = 'soundVolume';
+    const MUTE_SETTING = 'soundMuted';
+    const DEFAULT_VOLUME = 70;
+
+    // How loud effects are while someone is talking, and how fast to get there
+    const DUCK_LEVEL = 0.25;
+    const DUCK_SECONDS = 0.08;
+
+    const NOTES = {
+        G4: 392.00,
+        C5: 523.25,
+        E5: 659.25,
+        G5: 783.99,
+        C6: 1046.50
+    };
+
+    const CHIMES = {
+        common: ['C5', 'G5'],
+        uncommon: ['C5', 'E5', 'G5'],
+        rare: ['C5', 'E5', 'G5', 'C6']
+    };
+
+    // [note, seconds] - ends on a held chord
+    const FANFARE = [['G4', 0.12], ['C5', 0.12], ['E5', 0.12], ['G5', 0.28], ['E5', 0.12], ['G5', 0.7]];
+
+    const SOUNDS = {
+        pop(at) {
+            tone({ type: 'sine', frequency: 420, endFrequency: 1100, start: at, duration: 0.12, volume: 0.5 });
+        },
+
+        collect(at, options) {
+            const notes = CHIMES[options.rarity];
+            if (!notes) {
+                SOUNDS.fanfare(at);
+                return;
+            }
+
+            notes.forEach((note, i) => {
+                tone({ type: 'triangle', frequency: NOTES[note], start: at + i * 0.09, duration: 0.5, volume: 0.35 });
+                tone({ type: 'sine', frequency: NOTES[note] * 2, start: at + i * 0.09, duration: 0.3, volume: 0.1 });
+            });
+        },
+
+        fanfare(at) {
+            let time = at;
+            FANFARE.forEach(([note, length]) => {
+                tone({ type: 'square', frequency: NOTES[note], start: time, duration: length * 0.9, volume: 0.12 });
+                tone({ type: 'triangle', frequency: NOTES[note], start: time, duration: length, volume: 0.3 });
+                time += length;
+            });
+
+            // The last note opens into a chord
+            const last = time - FANFARE[FANFARE.length - 1][1];
+            ['C5', 'E5'].forEach(note => {
+                tone({ type: 'triangle', frequency: NOTES[note], start: last, duration: 0.8, volume: 0.2 });
+            });
+        },
+
+        pageTurn(at) {
+            noise({ start: at, duration: 0.28, volume: 0.35, fromFrequency: 900, toFrequency: 3500 });
+            noise({ start: at + 0.18, duration: 0.12, volume: 0.2, fromFrequency: 2500, toFrequency: 1200 });
+        },
+
+        buzz(at) {
+            [110, 116].forEach(frequency => {
+                tone({ type: 'sawtooth', frequency, start: at, duration: 0.35, volume: 0.18, lowpass: 900 });
+            });
+        }
+    };
+
+    let context = null;
+    let master = null;
+    let duck = null;
+    let volume = DEFAULT_VOLUME / 100;
+    let muted = false;
+
+    /**
+     * Initialize the sound module
+     */
+    function init() {
+        if (!isSupported()) {
+            console.warn('Web Audio not supported - sound effects disabled');
+            return;
+        }
+
+        document.addEventListener('speech:started', () => setDucked(true));
+        document.addEventListener('speech:ended', () => setDucked(false));
+
+        console.log('Sound module initialized');
+    }
+
+    /**
+     * Apply the active player's volume and mute settings
+     */
+    function reload() {
+        const saved = Number(SaveData.getSetting(VOLUME_SETTING, DEFAULT_VOLUME));
+        volume = Number.isFinite(saved) ? Math.min(100, Math.max(0, saved)) / 100 : DEFAULT_VOLUME / 100;
+        muted = SaveData.getSetting(MUTE_SETTING, false) === true;
+
+        if (master) {
+            master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Play an effect
+     * @param {string} name - A key of SOUNDS
+     * @param {Object} [options] - e.g. { rarity } for 'collect'
+     */
+    function play(name, options = {}) {
+        if (muted || volume === 0 || !SOUNDS[name] || !getContext()) return;
+
+        SOUNDS[name](context.currentTime + 0.01, options);
+    }
+
+    /**
+     * Create the audio graph the first time a sound is played (browsers
+     * only allow audio to start after the player has tapped something)
+     * @returns {AudioContext|null}
+     */
+    function getContext() {
+        if (!context) {
+            if (!isSupported()) return null;
+
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            context = new AudioContextClass();
+
+            master = context.createGain();
+            master.gain.value = muted ? 0 : volume;
+            master.connect(context.destination);
+
+            duck = context.createGain();
+            duck.gain.value = Speech.isSpeaking() ? DUCK_LEVEL : 1;
+            duck.connect(master);
+        }
+
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        return context;
+    }
+
+    /**
+     * Turn effects down while speech is playing, and back up after
+     * @param {boolean} ducked - Whether speech is playing
+     */
+    function setDucked(ducked) {
+        if (!duck) return;
+        duck.gain.setTargetAtTime(ducked ? DUCK_LEVEL : 1, context.currentTime, DUCK_SECONDS);
+    }
+
+    /**
+     * Play one note with a quick attack and a smooth fade
+     * @param {Object} note - { type, frequency, endFrequency, start, duration, volume, lowpass }
+     */
+    function tone(note) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const end = note.start + note.duration;
+
+        oscillator.type = note.type;
+        oscillator.frequency.setValueAtTime(note.frequency, note.start);
+        if (note.endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(note.endFrequency, end);
+        }
+
+        gain.gain.setValueAtTime(0.0001, note.start);
+        gain.gain.exponentialRampToValueAtTime(note.volume, note.start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        let output = oscillator;
+        if (note.lowpass) {
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = note.lowpass;
+            oscillator.connect(filter);
+            output = filter;
+        }
+        output.connect(gain);
+        gain.connect(duck);
+
+        oscillator.start(note.start);
+        oscillator.stop(end + 0.05);
+    }
+
+    /**
+     * Play a burst of filtered noise, like paper rustling
+     * @param {Object} burst - { start, duration, volume, fromFrequency, toFrequency }
+     */
+    function noise(burst) {
+        const length = Math.ceil(context.sampleRate * burst.duration);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 1.2;
+        filter.frequency.setValueAtTime(burst.fromFrequency, burst.start);
+        filter.frequency.exponentialRampToValueAtTime(burst.toFrequency, burst.start + burst.duration);
+
+        const gain = context.createGain();
+        const end = burst.start + burst.duration;
+        gain.gain.setValueAtTime(0.0001, burst.start);
+        gain.gain.exponentialRampToValueAtTime(burst.volume, burst.start + burst.duration * 0.3);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(duck);
+        source.start(burst.start);
+        source.stop(end);
+    }
+
+    /**
+     * Check the browser can make sounds
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof window.AudioContext !== 'undefined' || typeof window.webkitAudioContext !== 'undefined';
+    }
+
+    // Public API
+    return {
+        init,
+        reload,
+        play,
+        isSupported
+    };
+})();
@@ -1,31 +1,73 @@
 /* ========================================
-   Speech Module - Web Speech API TTS
+   Speech Module - Text-to-Speech Providers
    ======================================== */
 
+/*
+ * speak(), speakName() and stop() hand the work to a list of
+ * providers, tried in order until one can say the request:
+ *
+ *   {
+ *     name: string,
+ *     isSupported(): boolean,
+ *     canSpeak(request): boolean,
+ *     speak(request, events): void,
+ *     stop(): void
+ *   }
+ *
+ * with events { onStart(info), onBoundary(charIndex, charLength), onEnd, onError(error) }.
+ * onStart may pass { duration } in seconds when the length is known.
+ * Providers that can't report word boundaries just don't call
+ * onBoundary; speak() then guesses the timing so read-along
+ * highlighting still moves.
+ *
+ * A request is { text, rate, pitch, volume, lang, animal, clip, index }.
+ * `animal` and `clip` let the audio clip provider find a recording;
+ * other providers only need the text. If a provider reports an error
+ * before it starts talking, the next provider gets a turn.
+ *
+ * While anything is being said the document gets a 'speech:started'
+ * event, and 'speech:ended' once it stops or is cut off.
+ *
+ * The default order is pre-recorded clips, then the browser voice.
+ * Add ?ttsServer=http://localhost:8787/speak to the URL to put a cloud
+ * voice (or scripts/tts-stub-server.js) in front of the browser voice.
+ */
+
 const Speech = (function() {
     'use strict';
 
-    let synth = null;
+    // File types the audio clip provider can be given
+    const CLIP_TYPES = {
+        mp3: 'audio/mpeg',
+        ogg: 'audio/ogg'
+    };
+
+    // Typical speaking speed at rate 1, for guessing word timings
+    const CHARS_PER_SECOND = 14;
+
+    let providers = [];
+    let activeProvider = null;
     let speaking = false;
-    let supported = false;
-    let voices = [];
+    let speechToken = 0;
+    let currentOptions = null;
+    let wordTimer = null;
 
     /**
      * Initialize the speech module
      */
     function init() {
-        // Check for Web Speech API support
-        if ('speechSynthesis' in window) {
-            synth = window.speechSynthesis;
-            supported = true;
+        const ttsServer = new URLSearchParams(window.location.search).get('ttsServer');
 
-            // Load voices (may need to wait for voiceschanged event)
-            loadVoices();
-            synth.onvoiceschanged = loadVoices;
+        providers = [createAudioClipProvider()];
+        if (ttsServer) {
+            providers.push(createCloudProvider({ endpoint: ttsServer }));
+        }
+        providers.push(createWebSpeechProvider());
 
-            console.log('Speech module initialized - Web Speech API supported');
+        if (isSupported()) {
+            console.log(`Speech module initialized - providers: ${getProviderNames().join(', ')}`);
         } else {
-            console.warn('Web Speech API not supported in this browser');
+            console.warn('No text-to-speech available in this browser');
             hideSpeak();
         }
 
@@ -37,35 +79,299 @@ const Speech = (function() {
     }
 
     /**
-     * Load available voices
+     * Create a provider backed by the browser's speechSynthesis voices
+     * @returns {Object} Speech provider
      */
-    function loadVoices() {
-        voices = synth.getVoices();
+    function createWebSpeechProvider() {
+        const synth = 'speechSynthesis' in window ? window.speechSynthesis : null;
+        let voices = [];
+
+        /**
+         * Load available voices (may need to wait for voiceschanged)
+         */
+        function loadVoices() {
+            voices = synth.getVoices();
+
+            // Voices for the player's language
+            const language = I18n.getSpeechLang().split('-')[0];
+            const matching = voices.filter(v => v.lang.startsWith(language));
+            if (matching.length > 0) {
+                console.log(`Found ${matching.length} voices for "${language}"`);
+            }
+        }
+
+        /**
+         * Get the best available voice for a language
+         * @param {string} lang - Wanted language, e.g. 'en-AU'
+         * @returns {SpeechSynthesisVoice|null} Best voice or null
+         */
+        function getBestVoice(lang) {
+            if (voices.length === 0) return null;
 
-        // Prefer English voices
-        const englishVoices = voices.filter(v => v.lang.startsWith('en'));
-        if (englishVoices.length > 0) {
-            console.log(`Found ${englishVoices.length} English voices`);
+            // Prefer the locale's own accent (Australian English for English)
+            const exact = voices.find(v => v.lang === lang);
+            if (exact) return exact;
+
+            // Fallback to other voices in the same language
+            const sameLanguage = voices.find(v => v.lang.startsWith(lang.split('-')[0]));
+            if (sameLanguage) return sameLanguage;
+
+            // Use default
+            return voices[0];
         }
+
+        if (synth) {
+            loadVoices();
+            synth.onvoiceschanged = loadVoices;
+        }
+
+        return {
+            name: 'web-speech',
+
+            isSupported() {
+                return !!synth;
+            },
+
+            canSpeak(request) {
+                return !!request.text;
+            },
+
+            speak(request, events) {
+                const utterance = new SpeechSynthesisUtterance(request.text);
+
+                const voice = getBestVoice(request.lang);
+                if (voice) {
+                    utterance.voice = voice;
+                }
+
+                utterance.lang = request.lang;
+                utterance.rate = request.rate;
+                utterance.pitch = request.pitch;
+                utterance.volume = request.volume;
+
+                utterance.onstart = () => events.onStart();
+                utterance.onboundary = (event) => {
+                    if (event.name === 'word') {
+                        events.onBoundary(event.charIndex, event.charLength);
+                    }
+                };
+                utterance.onend = events.onEnd;
+                utterance.onerror = (event) => events.onError(new Error(`Speech synthesis error: ${event.error}`));
+
+                synth.speak(utterance);
+            },
+
+            stop() {
+                if (synth) {
+                    synth.cancel();
+                }
+            }
+        };
     }
 
     /**
-     * Get the best available English voice
-     * @returns {SpeechSynthesisVoice|null} Best voice or null
+     * Create a provider that plays recordings listed in an animal's
+     * `audio` field in animals.json:
+     *
+     *   "audio": {
+     *     "name": ["audio/animals/platypus-name.ogg", "audio/animals/platypus-name.mp3"],
+     *     "card": "audio/animals/platypus-card.mp3",
+     *     "facts": ["audio/animals/platypus-fact-1.mp3", null, null]
+     *   }
+     *
+     * Each entry is a file or a list of the same clip in different
+     * formats; the first one the browser can play is used.
+     * @returns {Object} Speech provider
      */
-    function getBestVoice() {
-        if (voices.length === 0) return null;
+    function createAudioClipProvider() {
+        let player = null;
+
+        /**
+         * Find the files recorded for a request
+         * @param {Object} request - Speech request
+         * @returns {Array<string>} Candidate files
+         */
+        function getSources(request) {
+            const audio = request.animal && request.animal.audio;
+            if (!audio || !request.clip) return [];
+
+            let entry = audio[request.clip];
+            if (request.index !== undefined) {
+                entry = Array.isArray(entry) ? entry[request.index] : null;
+            }
+            return entry ? [].concat(entry) : [];
+        }
 
-        // Prefer Australian English for our Australian animals!
-        const aussie = voices.find(v => v.lang === 'en-AU');
-        if (aussie) return aussie;
+        /**
+         * Check the browser can play a file, going by its extension
+         * @param {string} src - File path
+         * @returns {boolean}
+         */
+        function canPlay(src) {
+            const type = CLIP_TYPES[src.split('.').pop().toLowerCase()];
+            return !!type && new Audio().canPlayType(type) !== '';
+        }
 
-        // Fallback to other English voices
-        const english = voices.find(v => v.lang.startsWith('en'));
-        if (english) return english;
+        return {
+            name: 'audio-clips',
+
+            isSupported() {
+                return typeof Audio !== 'undefined';
+            },
+
+            canSpeak(request) {
+                return getSources(request).some(canPlay);
+            },
+
+            speak(request, events) {
+                const src = getSources(request).find(canPlay);
+
+                player = new Audio(src);
+                player.volume = request.volume;
+                player.onplaying = () => events.onStart({ duration: player.duration });
+                player.onended = () => {
+                    player = null;
+                    events.onEnd();
+                };
+                player.onerror = () => {
+                    player = null;
+                    events.onError(new Error(`Could not play ${src}`));
+                };
+
+                player.play().catch(error => {
+                    if (!player) return;
+                    player = null;
+                    events.onError(error);
+                });
+            },
+
+            stop() {
+                if (player) {
+                    player.onended = null;
+                    player.onerror = null;
+                    player.pause();
+                    player = null;
+                }
+            }
+        };
+    }
 
-        // Use default
-        return voices[0];
+    /**
+     * Create a provider that fetches speech from an HTTP voice service.
+     * It POSTs { text, lang, rate, voice } as JSON and plays the audio
+     * that comes back.
+     * @param {Object} options - Provider options
+     * @param {string} options.endpoint - URL to POST to
+     * @param {string} [options.voice] - Voice name to ask the service for
+     * @returns {Object} Speech provider
+     */
+    function createCloudProvider(options) {
+        let controller = null;
+        let player = null;
+        let objectUrl = null;
+
+        /**
+         * Release the current request and audio
+         */
+        function cleanup() {
+            if (controller) controller.abort();
+            if (player) {
+                player.onended = null;
+                player.onerror = null;
+                player.pause();
+            }
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            controller = null;
+            player = null;
+            objectUrl = null;
+        }
+
+        return {
+            name: 'cloud',
+
+            isSupported() {
+                return typeof fetch !== 'undefined' && typeof Audio !== 'undefined';
+            },
+
+            canSpeak(request) {
+                return !!request.text;
+            },
+
+            speak(request, events) {
+                cleanup();
+                const requestController = new AbortController();
+                controller = requestController;
+
+                fetch(options.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        text: request.text,
+                        lang: request.lang,
+                        rate: request.rate,
+                        voice: options.voice || null
+                    }),
+                    signal: requestController.signal
+                })
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Voice service replied ${response.status}`);
+                        }
+                        return response.blob();
+                    })
+                    .then(blob => {
+                        if (controller !== requestController) return;
+                        controller = null;
+
+                        objectUrl = URL.createObjectURL(blob);
+                        player = new Audio(objectUrl);
+                        player.volume = request.volume;
+                        player.onplaying = () => events.onStart({ duration: player.duration });
+                        player.onended = () => {
+                            cleanup();
+                            events.onEnd();
+                        };
+                        player.onerror = () => {
+                            cleanup();
+                            events.onError(new Error('Could not play voice service audio'));
+                        };
+                        return player.play();
+                    })
+                    .catch(error => {
+                        if (error.name === 'AbortError') return;
+                        cleanup();
+                        events.onError(error);
+                    });
+            },
+
+            stop() {
+                cleanup();
+            }
+        };
+    }
+
+    /**
+     * Replace the provider list (first provider that can speak wins)
+     * @param {Array<Object>} newProviders - Speech providers in order
+     */
+    function setProviders(newProviders) {
+        stop();
+        providers = [...newProviders];
+    }
+
+    /**
+     * Get the provider list
+     * @returns {Array<Object>} Speech providers in order
+     */
+    function getProviders() {
+        return [...providers];
+    }
+
+    /**
+     * @returns {Array<string>} Names of the providers this browser supports
+     */
+    function getProviderNames() {
+        return providers.filter(p => p.isSupported()).map(p => p.name);
     }
 
     /**
@@ -77,109 +383,269 @@ const Speech = (function() {
             return;
         }
 
+        readCard();
+    }
+
+    /**
+     * Read the open card aloud, highlighting the name and facts as they're said
+     */
+    function readCard() {
         const animal = Cards.getCurrentAnimal();
         if (!animal) return;
 
-        // Build speech text
-        const text = buildSpeechText(animal);
-        speak(text);
+        // Pre-readers can't read the practice tip, so it's read to them
+        const includeTip = typeof PreReader !== 'undefined' && PreReader.isOn();
+        const parts = buildSpeechParts(animal, Cards.getReadAlongTargets(), { includeTip });
+        ReadAlong.read(parts, { animal, clip: 'card' });
     }
 
     /**
-     * Build speech text from animal data
+     * Build the text to read for an animal's card, in parts so the
+     * words on the card can be highlighted as they are spoken
      * @param {Object} animal - Animal data object
-     * @returns {string} Text to speak
+     * @param {Object} [targets] - Card elements showing the text
+     * @param {HTMLElement} [targets.name] - Element showing the name
+     * @param {Array<HTMLElement>} [targets.facts] - Elements showing each fact
+     * @param {HTMLElement} [targets.tip] - Element showing the practice tip
+     * @param {Object} [options] - What to include
+     * @param {boolean} [options.includeTip=false] - Read the practice tip too
+     * @returns {Array<Object>} Parts as { text, prefix, element } for ReadAlong
      */
-    function buildSpeechText(animal) {
+    function buildSpeechParts(animal, targets = {}, options = {}) {
         const parts = [];
 
         // Name with emphasis
-        parts.push(animal.name);
+        parts.push({ text: animal.name, element: targets.name });
 
         // Category
-        const category = animal.category === 'dinosaur'
-            ? 'is an Australian dinosaur'
-            : 'is one of Australia\'s deadly creatures';
-        parts.push(category);
+        parts.push({ text: I18n.t(`speech.category.${animal.category}`) });
 
         // Facts
         if (animal.facts && animal.facts.length > 0) {
-            parts.push('Here are some fun facts:');
+            parts.push({ text: I18n.t('speech.factsIntro') });
             animal.facts.forEach((fact, i) => {
-                parts.push(`Fact ${i + 1}: ${fact}`);
+                parts.push({
+                    prefix: `${I18n.t('speech.fact', { number: i + 1 })} `,
+                    text: fact,
+                    element: targets.facts && targets.facts[i]
+                });
             });
         }
 
         // G/K sound practice prompt
         if (animal.speechPractice && animal.speechPractice.hasGKSound) {
-            parts.push(`Now let's practice saying ${animal.name}!`);
-            parts.push(`Listen for the ${animal.speechPractice.targetSound.toUpperCase()} sound.`);
+            parts.push({ text: I18n.t('speech.practice', { name: animal.speechPractice.word || animal.name }) });
+            parts.push({ text: I18n.t('speech.listenFor', { sound: animal.speechPractice.targetSound.toUpperCase() }) });
+            if (options.includeTip && animal.speechPractice.tip) {
+                parts.push({ text: animal.speechPractice.tip, element: targets.tip });
+            }
         }
 
-        return parts.join('. ');
+        return parts;
     }
 
     /**
-     * Speak text using Web Speech API
+     * Speak text with the first provider that can
      * @param {string} text - Text to speak
      * @param {Object} options - Speech options
+     * @param {number} [options.rate=0.9] - Speaking rate
+     * @param {number} [options.pitch=1] - Voice pitch
+     * @param {number} [options.volume=1] - Volume from 0 to 1
+     * @param {string} [options.lang] - Voice language (default: the player's locale)
+     * @param {Object} [options.animal] - Animal being talked about, for recorded clips
+     * @param {string} [options.clip] - Which of the animal's clips matches the text
+     * @param {number} [options.index] - Position in a list of clips (e.g. facts)
+     * @param {Function} [options.onWord] - Called with (charIndex, charLength)
+     *   as each word of the text is spoken (real or estimated timing)
+     * @param {Function} [options.onEnd] - Called when speech finishes or fails
+     * @param {Function} [options.onCancel] - Called if stop() or another
+     *   speak() cuts this speech off
      */
     function speak(text, options = {}) {
-        if (!supported || !synth) {
-            console.warn('Speech synthesis not available');
-            return;
-        }
-
         // Cancel any current speech
         stop();
 
-        const utterance = new SpeechSynthesisUtterance(text);
+        const request = {
+            text,
+            rate: options.rate || 0.9, // Slightly slower for kids
+            pitch: options.pitch || 1.0,
+            volume: options.volume ?? 1.0,
+            lang: options.lang || I18n.getSpeechLang(),
+            animal: options.animal || null,
+            clip: options.clip || null,
+            index: options.index
+        };
 
-        // Set voice
-        const voice = getBestVoice();
-        if (voice) {
-            utterance.voice = voice;
+        const candidates = providers.filter(p => p.isSupported() && p.canSpeak(request));
+        if (candidates.length === 0) {
+            console.warn('Speech synthesis not available');
+            if (options.onEnd) options.onEnd();
+            return;
         }
 
-        // Set options
-        utterance.rate = options.rate || 0.9; // Slightly slower for kids
-        utterance.pitch = options.pitch || 1.0;
-        utterance.volume = options.volume || 1.0;
-
-        // Event handlers
-        utterance.onstart = () => {
-            speaking = true;
-            updateSpeakButton(true);
-        };
+        setSpeaking(true);
+        currentOptions = options;
+        updateSpeakButton(true);
+        tryProvider(candidates, 0, request, options, speechToken);
+    }
 
-        utterance.onend = () => {
-            speaking = false;
-            updateSpeakButton(false);
-        };
+    /**
+     * Ask one provider to speak, moving on to the next if it fails to start
+     * @param {Array<Object>} candidates - Providers that said they can speak the request
+     * @param {number} index - Provider to try
+     * @param {Object} request - Speech request
+     * @param {Object} options - Options passed to speak()
+     * @param {number} token - Identifies this speak() call
+     */
+    function tryProvider(candidates, index, request, options, token) {
+        if (index >= candidates.length) {
+            finish(options);
+            return;
+        }
 
-        utterance.onerror = (event) => {
-            console.error('Speech synthesis error:', event.error);
-            speaking = false;
-            updateSpeakButton(false);
-        };
+        const provider = candidates[index];
+        let started = false;
+        activeProvider = provider;
+
+        provider.speak(request, {
+            onStart(info) {
+                if (token !== speechToken) return;
+                started = true;
+                if (options.onWord) {
+                    startWordTimer(request, options.onWord, info);
+                }
+            },
+            onBoundary(charIndex, charLength) {
+                if (token !== speechToken || !options.onWord) return;
+                // Real boundaries beat our guesses
+                stopWordTimer();
+                options.onWord(charIndex, charLength || getWordLength(request.text, charIndex));
+            },
+            onEnd() {
+                if (token === speechToken) finish(options);
+            },
+            onError(error) {
+                if (token !== speechToken) return;
+                console.warn(`${provider.name} could not speak:`, error.message);
+
+                if (started) {
+                    finish(options);
+                } else {
+                    tryProvider(candidates, index + 1, request, options, token);
+                }
+            }
+        });
+    }
 
-        // Speak!
-        synth.speak(utterance);
+    /**
+     * Tidy up after speech ends or every provider failed
+     * @param {Object} options - Options passed to speak()
+     */
+    function finish(options) {
+        stopWordTimer();
+        setSpeaking(false);
+        activeProvider = null;
+        currentOptions = null;
+        updateSpeakButton(false);
+        if (options.onEnd) options.onEnd();
     }
 
     /**
      * Stop current speech
      */
     function stop() {
-        if (synth) {
-            synth.cancel();
+        // Late events from the stopped provider are ignored
+        speechToken++;
+
+        stopWordTimer();
+
+        if (activeProvider) {
+            activeProvider.stop();
+            activeProvider = null;
+        }
+        if (currentOptions && currentOptions.onCancel) {
+            currentOptions.onCancel();
         }
-        speaking = false;
+        currentOptions = null;
+        setSpeaking(false);
         updateSpeakButton(false);
     }
 
     /**
-     * Check if currently speaking
+     * Track whether we're talking, and tell the page when that changes
+     * (Sound turns its effects down while we talk)
+     * @param {boolean} value - Whether speech is active
+     */
+    function setSpeaking(value) {
+        if (speaking === value) return;
+
+        speaking = value;
+        document.dispatchEvent(new CustomEvent(value ? 'speech:started' : 'speech:ended'));
+    }
+
+    /**
+     * Guess when each word is said, for voices that don't report
+     * word boundaries. Clips spread the words over their length;
+     * otherwise assume a typical speaking speed.
+     * @param {Object} request - Speech request
+     * @param {Function} onWord - Called with (charIndex, charLength)
+     * @param {Object} [info] - From the provider's onStart
+     */
+    function startWordTimer(request, onWord, info) {
+        stopWordTimer();
+
+        const text = request.text;
+        const words = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            words.push({ index: match.index, length: match[0].length });
+        }
+        if (words.length === 0) return;
+
+        const msPerChar = info && isFinite(info.duration) && info.duration > 0
+            ? (info.duration * 1000) / text.length
+            : 1000 / (CHARS_PER_SECOND * request.rate);
+        const startTime = Date.now();
+        let next = 0;
+
+        function tick() {
+            const word = words[next];
+            onWord(word.index, word.length);
+            next++;
+
+            if (next < words.length) {
+                const due = startTime + words[next].index * msPerChar;
+                wordTimer = setTimeout(tick, Math.max(0, due - Date.now()));
+            } else {
+                wordTimer = null;
+            }
+        }
+
+        tick();
+    }
+
+    /**
+     * Stop guessing word timings
+     */
+    function stopWordTimer() {
+        clearTimeout(wordTimer);
+        wordTimer = null;
+    }
+
+    /**
+     * Length of the word starting at a position
+     * @param {string} text - Spoken text
+     * @param {number} charIndex - Start of the word
+     * @returns {number} Word length in characters
+     */
+    function getWordLength(text, charIndex) {
+        const match = /^\S+/.exec(text.slice(charIndex));
+        return match ? match[0].length : 0;
+    }
+
+    /**
+     * Check if currently speaking (or fetching speech)
      * @returns {boolean} Whether speech is active
      */
     function isSpeaking() {
@@ -187,11 +653,11 @@ const Speech = (function() {
     }
 
     /**
-     * Check if speech is supported
+     * Check if any provider can speak plain text
      * @returns {boolean} Whether TTS is supported
      */
     function isSupported() {
-        return supported;
+        return providers.some(p => p.isSupported() && p.canSpeak({ text: 'test' }));
     }
 
     /**
@@ -204,11 +670,9 @@ const Speech = (function() {
 
         btn.classList.toggle('speaking', isSpeaking);
 
-        if (isSpeaking) {
-            btn.innerHTML = '<span class="btn__icon">🔇</span> Stop';
-        } else {
-            btn.innerHTML = '<span class="btn__icon">🔊</span> Read to Me';
-        }
+        const icon = isSpeaking ? '🔇' : '🔊';
+        const label = I18n.t(isSpeaking ? 'speech.stop' : 'speech.readToMe');
+        btn.innerHTML = `<span class="btn__icon">${icon}</span> <span class="btn__text">${label}</span>`;
     }
 
     /**
@@ -222,18 +686,37 @@ const Speech = (function() {
     }
 
     /**
-     * Speak just the animal name (for practice)
-     * @param {string} name - Animal name to speak
+     * Speak just the name being practised, in its own language
+     * @param {Object} animal - Animal whose name to speak
+     * @param {Function} [onEnd] - Called when the name has been spoken
      */
-    function speakName(name) {
-        speak(name, { rate: 0.7 }); // Extra slow for pronunciation practice
+    function speakName(animal, onEnd) {
+        const practice = animal.speechPractice || {};
+        // Recorded clips are in the card's language, which the practice word may not be
+        const recorded = !practice.locale || practice.locale === I18n.getLocale();
+
+        // Extra slow for pronunciation practice
+        speak(practice.word || animal.name, {
+            rate: 0.7,
+            lang: I18n.getSpeechLang(practice.locale),
+            animal: recorded ? animal : null,
+            clip: recorded ? 'name' : null,
+            onEnd
+        });
     }
 
     // Public API
     return {
         init,
+        createWebSpeechProvider,
+        createAudioClipProvider,
+        createCloudProvider,
+        setProviders,
+        getProviders,
         speak,
         speakName,
+        readCard,
+        buildSpeechParts,
         stop,
         isSpeaking,
         isSupported
@@ -0,0 +1,451 @@
+/* ========================================
+   Validate Module - animals.json Checks
+   ======================================== */
+
+/*
+ * Runs in the browser when AnimalData loads, and from node through
+ * scripts/validate-animals.js. Returns a list of problems rather than
+ * throwing, so one bad animal doesn't stop the rest of the game.
+ */
+
+const AnimalValidator = (function(Geography, Pronunciation) {
+    'use strict';
+
+    const CATEGORIES = ['deadly', 'dinosaur'];
+    const HABITATS = ['land', 'sea'];
+    const RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+    const STAT_NAMES = ['size', 'speed', 'dangerLevel'];
+    const PRACTICE_SOUNDS = ['k', 'g'];
+    const STAT_MIN = 1;
+    const STAT_MAX = 10;
+    const MIN_FACTS = 2;
+    const MAX_FACTS = 3;
+    const AUDIO_CLIPS = ['name', 'card', 'facts'];
+    const AUDIO_FILE = /\.(mp3|ogg)$/i;
+    const LOCALE_CODE = /^[a-z]{2}$/;
+
+    /**
+     * Validate every animal
+     * @param {Array} animals - Parsed animals.json
+     * @returns {Array<Object>} Problems as { id, field, message }
+     */
+    function validate(animals) {
+        if (!Array.isArray(animals)) {
+            return [{ id: null, field: null, message: 'animals.json must be an array' }];
+        }
+
+        const problems = [];
+        const seenIds = new Set();
+
+        animals.forEach((animal, index) => {
+            const id = animal && typeof animal.id === 'string' ? animal.id : `#${index}`;
+            const report = (field, message) => problems.push({ id, field, message });
+
+            if (!animal || typeof animal !== 'object') {
+                report(null, 'must be an object');
+                return;
+            }
+
+            if (seenIds.has(animal.id)) {
+                report('id', 'is used by more than one animal');
+            }
+            seenIds.add(animal.id);
+
+            validateAnimal(animal, report);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Validate one animal's fields
+     * @param {Object} animal - Animal data object
+     * @param {Function} report - Called with (field, message) for each problem
+     */
+    function validateAnimal(animal, report) {
+        if (!isNonEmptyString(animal.id) || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(animal.id)) {
+            report('id', 'must be lowercase words joined by dashes');
+        }
+        if (!isNonEmptyString(animal.name)) {
+            report('name', 'is required');
+        }
+        if (!isNonEmptyString(animal.image)) {
+            report('image', 'is required');
+        }
+
+        checkEnum(animal.category, CATEGORIES, 'category', report);
+        checkEnum(animal.habitat, HABITATS, 'habitat', report);
+        checkEnum(animal.rarity, RARITIES, 'rarity', report);
+
+        validateStats(animal.stats, report);
+        validateFacts(animal.facts, report);
+        validateSpeechPractice(animal.speechPractice, report);
+        validatePlacement(animal, report);
+        validateAudio(animal, report);
+        validateTranslations(animal, report);
+    }
+
+    /**
+     * Stats must be whole numbers from 1 to 10
+     * @param {Object} stats - Animal stats
+     * @param {Function} report - Problem reporter
+     */
+    function validateStats(stats, report) {
+        if (!stats || typeof stats !== 'object') {
+            report('stats', 'is required');
+            return;
+        }
+
+        STAT_NAMES.forEach(name => {
+            const value = stats[name];
+            if (!Number.isInteger(value) || value < STAT_MIN || value > STAT_MAX) {
+                report(`stats.${name}`, `must be a whole number from ${STAT_MIN} to ${STAT_MAX} (got ${value})`);
+            }
+        });
+    }
+
+    /**
+     * Every card shows a few facts
+     * @param {Array} facts - Animal facts
+     * @param {Function} report - Problem reporter
+     */
+    function validateFacts(facts, report) {
+        if (!Array.isArray(facts)) {
+            report('facts', 'must be a list');
+            return;
+        }
+
+        if (facts.length < MIN_FACTS || facts.length > MAX_FACTS) {
+            report('facts', `must have ${MIN_FACTS}-${MAX_FACTS} facts (got ${facts.length})`);
+        }
+        facts.forEach((fact, i) => {
+            if (!isNonEmptyString(fact)) {
+                report(`facts[${i}]`, 'must be a non-empty string');
+            }
+        });
+    }
+
+    /**
+     * Practice animals need a phonetic spelling that shows the target sound
+     * @param {Object} practice - speechPractice object
+     * @param {Function} report - Problem reporter
+     */
+    function validateSpeechPractice(practice, report) {
+        if (!practice || typeof practice !== 'object') {
+            report('speechPractice', 'is required');
+            return;
+        }
+
+        if (typeof practice.hasGKSound !== 'boolean') {
+            report('speechPractice.hasGKSound', 'must be true or false');
+        }
+        if (!isNonEmptyString(practice.phonetic)) {
+            report('speechPractice.phonetic', 'is required');
+        }
+        if (typeof practice.targetSound !== 'string') {
+            report('speechPractice.targetSound', 'must be a string');
+            return;
+        }
+
+        if (!practice.hasGKSound) {
+            if (practice.targetSound !== '') {
+                report('speechPractice.targetSound', 'must be empty when hasGKSound is false');
+            }
+            return;
+        }
+
+        checkEnum(practice.targetSound, PRACTICE_SOUNDS, 'speechPractice.targetSound', report);
+        if (!isNonEmptyString(practice.tip)) {
+            report('speechPractice.tip', 'is required for practice animals');
+        }
+        checkPhoneticSound(practice.phonetic, practice.targetSound, 'speechPractice.phonetic', report);
+    }
+
+    /**
+     * The phonetic spelling has to show the sound being practised, by the
+     * same rule that marks the practice chips (so "KANG" has no G sound)
+     * @param {*} phonetic - Phonetic spelling
+     * @param {*} sound - 'k' or 'g'
+     * @param {string} field - Field name for the report
+     * @param {Function} report - Problem reporter
+     */
+    function checkPhoneticSound(phonetic, sound, field, report) {
+        if (isNonEmptyString(phonetic) && isNonEmptyString(sound) &&
+            !Pronunciation.splitPhonetic(phonetic, sound.toLowerCase()).some(syllable => syllable.target)) {
+            report(field, `"${phonetic}" does not contain the target sound "${sound}"`);
+        }
+    }
+
+    /**
+     * Land animals go on land, sea animals go in the sea
+     * @param {Object} animal - Animal data object
+     * @param {Function} report - Problem reporter
+     */
+    function validatePlacement(animal, report) {
+        const { location, position } = animal;
+        let field;
+        let where;
+
+        if (location !== undefined) {
+            field = 'location';
+            if (!location || !isInRange(location.lat, -90, 90) || !isInRange(location.lon, -180, 180)) {
+                report(field, 'must have lat from -90 to 90 and lon from -180 to 180');
+                return;
+            }
+            where = `${location.lat}, ${location.lon}`;
+            if (!Geography.isOnMap(location)) {
+                report(field, `is off the edge of the map at (${where})`);
+                return;
+            }
+        } else if (position !== undefined) {
+            // Percentage positions from before real coordinates
+            field = 'position';
+            if (!position || !isInRange(position.x, 0, 100) || !isInRange(position.y, 0, 100)) {
+                report(field, 'must have x and y from 0 to 100');
+                return;
+            }
+            where = `${position.x}%, ${position.y}%`;
+        } else {
+            report('location', 'is required (or a percentage position)');
+            return;
+        }
+
+        if (!HABITATS.includes(animal.habitat)) return;
+
+        const land = Geography.getLandAt(animal);
+        if (animal.habitat === 'land' && !land) {
+            report(field, `land animal is in the sea at (${where})`);
+        } else if (animal.habitat === 'sea' && land) {
+            report(field, `sea animal is on ${land} at (${where})`);
+        }
+    }
+
+    /**
+     * Translations are optional; each one may replace the name, the
+     * facts (all of them), the practice tip and the recorded clips, and
+     * spell the translated name out so it is practised instead of the English
+     * @param {Object} animal - Animal data object
+     * @param {Function} report - Problem reporter
+     */
+    function validateTranslations(animal, report) {
+        const translations = animal.translations;
+        if (translations === undefined) return;
+        if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+            report('translations', 'must be an object');
+            return;
+        }
+
+        Object.keys(translations).forEach(code => {
+            const field = `translations.${code}`;
+            const translation = translations[code];
+            const reportIn = (name, message) => report(name ? `${field}.${name}` : field, message);
+
+            if (!LOCALE_CODE.test(code)) {
+                report(field, 'must be a two-letter language code');
+            }
+            if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                reportIn(null, 'must be an object');
+                return;
+            }
+
+            if (translation.name !== undefined && !isNonEmptyString(translation.name)) {
+                reportIn('name', 'must be a non-empty string');
+            }
+            if (translation.facts !== undefined) {
+                if (!Array.isArray(translation.facts)) {
+                    reportIn('facts', 'must be a list');
+                } else {
+                    if (Array.isArray(animal.facts) && translation.facts.length !== animal.facts.length) {
+                        reportIn('facts', `must translate every fact (got ${translation.facts.length} for ${animal.facts.length} facts)`);
+                    }
+                    translation.facts.forEach((fact, i) => {
+                        if (!isNonEmptyString(fact)) {
+                            reportIn(`facts[${i}]`, 'must be a non-empty string');
+                        }
+                    });
+                }
+            }
+            if (translation.tip !== undefined) {
+                if (!isNonEmptyString(translation.tip)) {
+                    reportIn('tip', 'must be a non-empty string');
+                } else if (!animal.speechPractice || !animal.speechPractice.tip) {
+                    reportIn('tip', 'has no English tip to translate');
+                }
+            }
+
+            if (translation.speechPractice !== undefined) {
+                validateTranslatedPractice(translation, animal.speechPractice, reportIn);
+            }
+
+            // Translated clips follow the same rules, facts counted against the English ones
+            validateAudio({ audio: translation.audio, facts: animal.facts }, reportIn);
+        });
+    }
+
+    /**
+     * A translated practice word needs its own phonetic spelling, still
+     * showing the animal's target sound
+     * @param {Object} translation - One language's translation
+     * @param {Object} practice - The animal's speechPractice
+     * @param {Function} report - Problem reporter for the translation
+     */
+    function validateTranslatedPractice(translation, practice, report) {
+        const translated = translation.speechPractice;
+        if (!translated || typeof translated !== 'object' || Array.isArray(translated)) {
+            report('speechPractice', 'must be an object');
+            return;
+        }
+
+        Object.keys(translated).forEach(key => {
+            if (key !== 'phonetic') {
+                report(`speechPractice.${key}`, 'cannot be translated (only the phonetic spelling can)');
+            }
+        });
+        if (!isNonEmptyString(translation.name)) {
+            report('speechPractice', 'needs a translated name to practise');
+        }
+        if (!isNonEmptyString(translated.phonetic)) {
+            report('speechPractice.phonetic', 'is required');
+        }
+        if (practice && practice.hasGKSound) {
+            checkPhoneticSound(translated.phonetic, practice.targetSound, 'speechPractice.phonetic', report);
+        }
+    }
+
+    /**
+     * Recorded clips are optional; when given they must be .mp3 or .ogg files
+     * @param {Object} animal - Animal data object (or a translation's { audio, facts })
+     * @param {Function} report - Problem reporter
+     */
+    function validateAudio(animal, report) {
+        const audio = animal.audio;
+        if (audio === undefined) return;
+        if (!audio || typeof audio !== 'object' || Array.isArray(audio)) {
+            report('audio', 'must be an object');
+            return;
+        }
+
+        Object.keys(audio).forEach(clip => {
+            if (!AUDIO_CLIPS.includes(clip)) {
+                report(`audio.${clip}`, `is not a known clip (use ${AUDIO_CLIPS.join(', ')})`);
+            }
+        });
+
+        ['name', 'card'].forEach(clip => {
+            if (audio[clip] !== undefined) {
+                checkAudioSource(audio[clip], `audio.${clip}`, report);
+            }
+        });
+
+        if (audio.facts === undefined) return;
+        if (!Array.isArray(audio.facts)) {
+            report('audio.facts', 'must be a list');
+            return;
+        }
+        if (Array.isArray(animal.facts) && audio.facts.length !== animal.facts.length) {
+            report('audio.facts', `must have one entry per fact (got ${audio.facts.length} for ${animal.facts.length} facts)`);
+        }
+        audio.facts.forEach((source, i) => {
+            // null leaves a fact to be read by the voice
+            if (source !== null) {
+                checkAudioSource(source, `audio.facts[${i}]`, report);
+            }
+        });
+    }
+
+    /**
+     * A clip is a file, or the same clip in several formats
+     * @param {*} source - Clip from the audio field
+     * @param {string} field - Field name for the report
+     * @param {Function} report - Problem reporter
+     */
+    function checkAudioSource(source, field, report) {
+        const files = [].concat(source);
+        if (files.length === 0) {
+            report(field, 'must list at least one file');
+        }
+        files.forEach(file => {
+            if (!isNonEmptyString(file) || !AUDIO_FILE.test(file)) {
+                report(field, `must be an .mp3 or .ogg file (got ${JSON.stringify(file)})`);
+            }
+        });
+    }
+
+    /**
+     * List every audio file an animal refers to, in any language
+     * @param {Object} animal - Animal data object
+     * @returns {Array<string>} File paths
+     */
+    function getAudioFiles(animal) {
+        const translations = animal && animal.translations && typeof animal.translations === 'object'
+            ? Object.values(animal.translations)
+            : [];
+
+        return [animal].concat(translations).reduce((files, entry) => {
+            const audio = entry && entry.audio;
+            if (!audio || typeof audio !== 'object') return files;
+
+            const sources = [audio.name, audio.card].concat(Array.isArray(audio.facts) ? audio.facts : []);
+            return files.concat(sources
+                .filter(source => source !== undefined && source !== null)
+                .reduce((clips, source) => clips.concat(source), [])
+                .filter(isNonEmptyString));
+        }, []);
+    }
+
+    /**
+     * Check a value is one of a fixed set
+     * @param {*} value - Value to check
+     * @param {Array} allowed - Allowed values
+     * @param {string} field - Field name for the report
+     * @param {Function} report - Problem reporter
+     */
+    function checkEnum(value, allowed, field, report) {
+        if (!allowed.includes(value)) {
+            report(field, `must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether value is a non-empty string
+     */
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @returns {boolean} Whether value is a number from min to max
+     */
+    function isInRange(value, min, max) {
+        return typeof value === 'number' && value >= min && value <= max;
+    }
+
+    /**
+     * Format a problem for logging
+     * @param {Object} problem - Problem from validate()
+     * @returns {string} Readable message
+     */
+    function formatProblem(problem) {
+        const field = problem.field ? `.${problem.field}` : '';
+        return `${problem.id}${field} ${problem.message}`;
+    }
+
+    // Public API
+    return {
+        validate,
+        getAudioFiles,
+        formatProblem
+    };
+})(
+    typeof Geography !== 'undefined' ? Geography : require('./geography.js'),
+    typeof Pronunciation !== 'undefined' ? Pronunciation : require('./pronunciation.js')
+);
+
+// Allow the validation script to use this module from node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimalValidator;
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/* ========================================
+   Stand-in for a cloud text-to-speech service
+   Usage: node scripts/tts-stub-server.js [port]
+   Then open the game with ?ttsServer=http://localhost:8787/speak
+   ======================================== */
+
+/*
+ * Answers POST { text, lang, rate, voice } with a WAV file: a soft hum
+ * that lasts about as long as reading the text would. Enough to check
+ * the cloud provider end to end (loading, playing, stopping, falling
+ * back) without an account with a real voice service.
+ *
+ * POST with "text": "fail" to get a 500 and watch the game fall back
+ * to the browser voice.
+ */
+
+'use strict';
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_CHAR = 0.06;
+const MAX_SECONDS = 20;
+
+/**
+ * Build a mono 8-bit WAV file
+ * @param {number} seconds - Length of the clip
+ * @returns {Buffer} WAV data
+ */
+function buildWav(seconds) {
+    const samples = Math.round(SAMPLE_RATE * seconds);
+    const wav = Buffer.alloc(44 + samples);
+
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + samples, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16);          // fmt chunk size
+    wav.writeUInt16LE(1, 20);           // PCM
+    wav.writeUInt16LE(1, 22);           // mono
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE, 28); // bytes per second
+    wav.writeUInt16LE(1, 32);           // block align
+    wav.writeUInt16LE(8, 34);           // bits per sample
+    wav.write('data', 36);
+    wav.writeUInt32LE(samples, 40);
+
+    for (let i = 0; i < samples; i++) {
+        const t = i / SAMPLE_RATE;
+        wav[44 + i] = 128 + Math.round(20 * Math.sin(2 * Math.PI * 220 * t));
+    }
+
+    return wav;
+}
+
+/**
+ * Add the headers that let the game page call us from another origin
+ * @param {http.ServerResponse} res - Response
+ */
+function allowCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+const server = http.createServer((req, res) => {
+    allowCors(res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('POST text to speak\n');
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('Body must be JSON\n');
+            return;
+        }
+
+        const text = typeof request.text === 'string' ? request.text : '';
+        console.log(`${request.lang || '?'} @ ${request.rate || 1}: ${text}`);
+
+        if (text.trim().toLowerCase() === 'fail') {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failing on purpose\n');
+            return;
+        }
+
+        const rate = request.rate > 0 ? request.rate : 1;
+        const seconds = Math.min(MAX_SECONDS, Math.max(0.3, text.length * SECONDS_PER_CHAR / rate));
+        const wav = buildWav(seconds);
+
+        res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': wav.length });
+        res.end(wav);
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Stub voice service on http://localhost:${port}/speak`);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/* ========================================
+   Validate animals.json from the command line
+   Usage: node scripts/validate-animals.js [path/to/animals.json]
+   ======================================== */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const AnimalValidator = require('../js/validate.js');
+
+const root = path.join(__dirname, '..');
+const dataPath = process.argv[2] || path.join(root, 'data', 'animals.json');
+
+let animals;
+try {
+    animals = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${dataPath}: ${error.message}`);
+    process.exit(1);
+}
+
+const problems = AnimalValidator.validate(animals);
+
+// Images and audio clips only exist on disk here, so the browser check can't do these
+if (Array.isArray(animals)) {
+    animals.forEach(animal => {
+        if (animal && typeof animal.image === 'string' && !fs.existsSync(path.join(root, animal.image))) {
+            problems.push({ id: animal.id, field: 'image', message: `file not found: ${animal.image}` });
+        }
+        AnimalValidator.getAudioFiles(animal).forEach(file => {
+            if (!fs.existsSync(path.join(root, file))) {
+                problems.push({ id: animal.id, field: 'audio', message: `file not found: ${file}` });
+            }
+        });
+    });
+}
+
+if (problems.length > 0) {
+    problems.forEach(problem => console.error(`✗ ${AnimalValidator.formatProblem(problem)}`));
+    console.error(`\n${problems.length} problem(s) in ${path.relative(process.cwd(), dataPath)}`);
+    process.exit(1);
+}
+
+console.log(`✓ ${animals.length} animals OK`);
@@ -0,0 +1,189 @@
+/* ========================================
+   Service Worker - Offline Play
+   ======================================== */
+
+/*
+ * Precaches the whole game so it works with no signal. Every file the
+ * page loads is listed in PRECACHE_URLS, and the animal pictures are
+ * read from data/animals.json at install time.
+ *
+ * Bump CACHE_VERSION whenever a file changes. The new worker then
+ * waits until the player accepts the update prompt (js/offline.js),
+ * which posts { type: 'SKIP_WAITING' }.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v21';
+const CACHE_PREFIX = 'animal-adventure-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Google Fonts are kept between versions once they have been seen online
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const ANIMALS_URL = 'data/animals.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'images/icons/icon.svg',
+    'images/icons/icon-maskable.svg',
+
+    'css/main.css',
+    'css/map.css',
+    'css/fog.css',
+    'css/cards.css',
+    'css/collection.css',
+    'css/profiles.css',
+    'css/settings.css',
+    'css/pair-game.css',
+    'css/quiz.css',
+    'css/battle.css',
+    'css/achievements.css',
+    'css/offline.css',
+    'css/pre-reader.css',
+    'css/print.css',
+    'css/print-document.css',
+
+    'fonts/pirata-one-400.woff2',
+    'fonts/nunito-400.woff2',
+    'fonts/nunito-600.woff2',
+    'fonts/nunito-700.woff2',
+
+    'js/a11y.js',
+    'js/i18n.js',
+    'js/geography.js',
+    'js/validate.js',
+    'js/data.js',
+    'js/profiles.js',
+    'js/save.js',
+    'js/map.js',
+    'js/fog.js',
+    'js/cards.js',
+    'js/collection.js',
+    'js/backup.js',
+    'js/print.js',
+    'js/speech.js',
+    'js/sound.js',
+    'js/read-along.js',
+    'js/pre-reader.js',
+    'js/settings.js',
+    'js/recorder.js',
+    'js/recognition.js',
+    'js/pronunciation.js',
+    'js/practice.js',
+    'js/pair-game.js',
+    'js/quiz.js',
+    'js/battle.js',
+    'js/achievements.js',
+    'js/offline.js',
+    'js/app.js',
+
+    ANIMALS_URL,
+    'data/minimal-pairs.json',
+    'data/achievements.json',
+    'data/locales/en.json',
+    'data/locales/es.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== FONT_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, FONT_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Cache the game files and every animal picture
+ * @returns {Promise}
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS);
+
+    const response = await cache.match(ANIMALS_URL);
+    const animals = await response.json();
+    const images = [...new Set(animals.map(animal => animal.image).filter(Boolean))];
+    await cache.addAll(images);
+}
+
+/**
+ * Answer from the cache, falling back to the network (and keeping
+ * what comes back, e.g. recorded audio clips)
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    // Pages may carry options like ?ttsServer=, but there is only one page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+
+    // Only whole files - media elements ask for ranges (206)
+    if (response.status === 200) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer from the cache straight away, and refresh it from the network
+ * @param {FetchEvent} event - Fetch event for a font request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            // The stylesheet link has no crossorigin attribute, so it comes back opaque
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the refresh has been saved
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}